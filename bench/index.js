@@ -0,0 +1,111 @@
+/**
+ * Benchmarks for deep-diffs
+ *
+ * Replays synthetic revision histories through computeDeepDiff and prints
+ * the time each takes. Histories are generated from a fixed seed, so runs
+ * are comparable across changes.
+ *
+ *   npm run bench              # every scenario
+ *   npm run bench -- append    # scenarios whose name contains "append"
+ */
+
+import { performance } from 'node:perf_hooks';
+import { computeDeepDiff } from '../src/deep-diff.js';
+
+const WORDS = ('the of and to in is was for on that with as by at from his her an were which are this ' +
+  'also be has or had first one their its new after but who not they have two been other when there ' +
+  'all during into school time may years more most only over city some world would where later up ' +
+  'such used many can state about national out known university united then made').split(' ');
+
+/**
+ * Small, fast seeded PRNG (mulberry32), so histories are reproducible.
+ */
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function words(rand, count) {
+  return Array.from({ length: count }, () => WORDS[Math.floor(rand() * WORDS.length)]).join(' ');
+}
+
+/**
+ * A history of small edits all over a document, like a busy wiki
+ * article: mostly insertions, some deletions and replacements, and the
+ * occasional revert of the previous edit.
+ */
+function wikiHistory(revisions, size, seed = 1) {
+  const rand = random(seed);
+  let text = words(rand, size / 6);
+  const history = [text];
+  while (history.length < revisions) {
+    const roll = rand();
+    if (roll < 0.03 && history.length > 1) {
+      text = history[history.length - 2];  // Revert
+    } else {
+      const at = Math.floor(rand() * text.length);
+      const cut = roll < 0.6 ? 0 : Math.floor(rand() * 40);
+      const added = roll < 0.85 ? ` ${words(rand, 1 + Math.floor(rand() * 6))}` : '';
+      text = text.slice(0, at) + added + text.slice(at + cut);
+    }
+    history.push(text);
+  }
+  return history;
+}
+
+/**
+ * A document written a few words at a time, so markers pile up.
+ */
+function appendHistory(revisions, seed = 2) {
+  const rand = random(seed);
+  const history = [''];
+  while (history.length < revisions) {
+    history.push(`${history[history.length - 1]} ${words(rand, 1 + Math.floor(rand() * 3))}`);
+  }
+  return history;
+}
+
+/**
+ * One paragraph rewritten over and over, so markers nest deeply.
+ */
+function hotspotHistory(revisions, size, seed = 3) {
+  const rand = random(seed);
+  const before = words(rand, size / 12);
+  const after = words(rand, size / 12);
+  let paragraph = words(rand, 60);
+  const history = [];
+  while (history.length < revisions) {
+    const at = Math.floor(rand() * paragraph.length);
+    paragraph = paragraph.slice(0, at) + ` ${words(rand, 1)}` + paragraph.slice(at + Math.floor(rand() * 8));
+    history.push(`${before}\n\n${paragraph}\n\n${after}`);
+  }
+  return history;
+}
+
+const SCENARIOS = [
+  { name: 'wiki: 10k revisions of a 20 KB article', history: () => wikiHistory(10000, 20000) },
+  { name: 'wiki: 1k revisions of a 200 KB article', history: () => wikiHistory(1000, 200000) },
+  { name: 'wiki: 10k revisions, word granularity', history: () => wikiHistory(10000, 20000), options: { granularity: 'word' } },
+  { name: 'wiki: 10k revisions, tracking deletions', history: () => wikiHistory(10000, 20000), options: { trackDeletions: true } },
+  { name: 'append: 10k revisions', history: () => appendHistory(10000) },
+  { name: 'hotspot: 5k revisions of one paragraph', history: () => hotspotHistory(5000, 20000) }
+];
+
+const filter = process.argv[2];
+const scenarios = SCENARIOS.filter(s => !filter || s.name.includes(filter));
+
+for (const { name, history, options = {} } of scenarios) {
+  const revisions = history();
+  const start = performance.now();
+  const { markers, tombstones } = computeDeepDiff(revisions, options);
+  const elapsed = performance.now() - start;
+  const rate = Math.round(revisions.length / (elapsed / 1000));
+  console.log(
+    `${name.padEnd(44)} ${`${elapsed.toFixed(0)} ms`.padStart(9)} ${`${rate} rev/s`.padStart(12)}` +
+    `   ${markers.length} markers${tombstones.length ? `, ${tombstones.length} tombstones` : ''}`
+  );
+}
@@ -1,5 +1,7 @@
 import { nodeResolve } from '@rollup/plugin-node-resolve';
+import commonjs from '@rollup/plugin-commonjs';
 import { copyFileSync, mkdirSync } from 'fs';
+import { fileURLToPath } from 'url';
 
 // Plugin to copy TypeScript definitions
 const copyTypes = () => ({
@@ -7,10 +9,14 @@ const copyTypes = () => ({
   buildEnd() {
     mkdirSync('dist', { recursive: true });
     copyFileSync('src/deep-diff.d.ts', 'dist/deep-diff.d.ts');
+    copyFileSync('src/worker.d.ts', 'dist/worker.d.ts');
   }
 });
 
-export default {
+// The CLI imports the library bundle rather than inlining it
+const library = fileURLToPath(new URL('src/deep-diff.js', import.meta.url));
+
+export default [{
   input: 'src/deep-diff.js',
   output: [
     {
@@ -30,4 +36,25 @@ export default {
     copyTypes()
   ],
   external: ['diff-match-patch']
-};
+}, {
+  // Self-contained, library and diff-match-patch included, so browsers
+  // can load it with `new Worker(url, { type: 'module' })` as it is
+  input: 'src/worker.js',
+  output: {
+    file: 'dist/worker.js',
+    format: 'es',
+    sourcemap: true
+  },
+  plugins: [
+    nodeResolve(),
+    commonjs()
+  ]
+}, {
+  input: 'src/cli.js',
+  output: {
+    file: 'dist/cli.js',
+    format: 'es',
+    paths: { [library]: './deep-diff.js' }
+  },
+  external: id => id.startsWith('node:') || id === library
+}];
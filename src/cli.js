@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+/**
+ * deep-diffs - command-line front end
+ *
+ * Reads a file's revisions from git history (or from a directory of
+ * numbered snapshots), runs computeDeepDiff over them and writes the
+ * heatmap as an HTML page or report, ANSI or JSON.
+ *
+ * @license MIT
+ */
+
+import { execFileSync } from 'node:child_process';
+import { readFileSync, readdirSync, realpathSync, statSync, writeFileSync } from 'node:fs';
+import { basename, dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import {
+  computeDeepDiff,
+  renderWithMarkers,
+  renderAnsi,
+  serializeDeepDiff,
+  deepDiffReport,
+  getDefaultStyles,
+  getAuthorStyles
+} from './deep-diff.js';
+
+const USAGE = `Usage: deep-diffs [options] <file>
+       deep-diffs [options] --dir <directory>
+
+Deep-diff a file's history from git (following renames), or a directory
+of numbered snapshot files (1.txt, 2.txt, ... or draft-01.md, draft-02.md, ...).
+
+Options:
+  -f, --format <format>      Output format: html, report, ansi or json (default: html)
+  -o, --output <file>        Write to a file instead of stdout
+  -d, --dir <directory>      Read numbered snapshots instead of git history
+  -n, --max-count <n>        Only use the last n git revisions (not with --dir)
+  -g, --granularity <unit>   Diff unit: char, word, line or sentence (default: char)
+  -m, --markup <format>      Source format: text, markdown or html (default: text)
+      --track-deletions      Show deleted text
+      --detect-moves         Treat cut-and-pasted blocks as moves
+      --by-author            Colour HTML output by author
+      --palette <name>       HTML heatmap colours: green, heat, blue, viridis
+                             or cividis (default: green)
+  -t, --title <title>        HTML page title (default: the file name)
+      --color <mode>         ANSI colours: 256, truecolor or none
+                             (default: none if NO_COLOR is set, truecolor if
+                             COLORTERM says so, otherwise 256)
+  -h, --help                 Show this help
+  -v, --version              Show the version number
+`;
+
+const OPTIONS = {
+  format: { type: 'string', short: 'f', default: 'html' },
+  output: { type: 'string', short: 'o' },
+  dir: { type: 'string', short: 'd' },
+  'max-count': { type: 'string', short: 'n' },
+  granularity: { type: 'string', short: 'g', default: 'char' },
+  markup: { type: 'string', short: 'm', default: 'text' },
+  'track-deletions': { type: 'boolean', default: false },
+  'detect-moves': { type: 'boolean', default: false },
+  'by-author': { type: 'boolean', default: false },
+  palette: { type: 'string', default: 'green' },
+  color: { type: 'string' },
+  title: { type: 'string', short: 't' },
+  help: { type: 'boolean', short: 'h', default: false },
+  version: { type: 'boolean', short: 'v', default: false }
+};
+
+const FORMATS = ['html', 'report', 'ansi', 'json'];
+const COLOR_MODES = ['256', 'truecolor', 'none'];
+const GRANULARITIES = ['char', 'word', 'line', 'sentence'];
+const MARKUPS = ['text', 'markdown', 'html'];
+const PALETTES = ['green', 'heat', 'blue', 'viridis', 'cividis'];
+
+/**
+ * Error in the command line itself; reported with a usage hint.
+ */
+class UsageError extends Error {}
+
+/**
+ * Read a file's revisions from git, oldest first, following renames.
+ * Each revision carries the commit's author, author date and hash.
+ *
+ * @param {string} file - Path to a file inside a git work tree
+ * @param {Object} options - Options
+ * @param {number} options.maxCount - Only read the last n revisions
+ * @returns {Array<{ text: string, author: string, timestamp: string, id: string }>}
+ */
+export function readGitHistory(file, options = {}) {
+  const { maxCount } = options;
+  const cwd = dirname(resolve(file));
+  const git = args => execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    maxBuffer: 256 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  // One record per commit: hash, author and date, then the file's path
+  // (relative to the repository root) as of that commit
+  const args = ['log', '--follow', '--diff-filter=d', '--name-only', '--format=%x01%H%x00%an%x00%aI'];
+  if (maxCount != null) args.push(`--max-count=${maxCount}`);
+  args.push('--', basename(file));
+
+  const revisions = git(args)
+    .split('\x01')
+    .filter(Boolean)
+    .map(record => {
+      const [header, ...paths] = record.split('\n').filter(Boolean);
+      const [id, author, timestamp] = header.split('\x00');
+      return { id, author, timestamp, path: paths[0] };
+    })
+    .filter(commit => commit.path)
+    .reverse();
+
+  return revisions.map(({ id, author, timestamp, path }) => ({
+    text: git(['show', `${id}:${path}`]),
+    author,
+    timestamp,
+    id
+  }));
+}
+
+/**
+ * Read numbered snapshot files from a directory, ordered by the first
+ * number in each name (`2.txt` before `10.txt`). Files without a number
+ * are ignored.
+ *
+ * @param {string} dir - Directory of snapshot files
+ * @returns {Array<{ text: string, id: string }>}
+ */
+export function readSnapshotDirectory(dir) {
+  return readdirSync(dir)
+    .map(name => ({ name, number: name.match(/\d+/)?.[0] }))
+    .filter(({ name, number }) => number != null && statSync(join(dir, name)).isFile())
+    .sort((a, b) => (Number(a.number) - Number(b.number)) || a.name.localeCompare(b.name))
+    .map(({ name }) => ({ text: readFileSync(join(dir, name), 'utf8'), id: name }));
+}
+
+/**
+ * Standalone HTML page for a rendered heatmap, with the default styles
+ * (and author styles, when colouring by author) inlined.
+ */
+function htmlPage(title, body, { authors = null, markup = 'text', palette = 'green' } = {}) {
+  const css = getDefaultStyles(5, { palette }) + (authors ? getAuthorStyles(authors) : '');
+  const whiteSpace = markup === 'html' ? 'normal' : 'pre-wrap';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; line-height: 1.5; max-width: 50rem; margin: 2rem auto; padding: 0 1rem; }
+.deep-diff-document { white-space: ${whiteSpace}; }
+ins.deep-diff { text-decoration: none; }
+${css}</style>
+</head>
+<body>
+<div class="deep-diff-document">${body}</div>
+</body>
+</html>
+`;
+}
+
+/**
+ * ANSI colour mode from the environment: NO_COLOR disables colour,
+ * COLORTERM=truecolor (or 24bit) enables 24-bit colour.
+ */
+function colorFromEnv(env) {
+  if (env.NO_COLOR) return 'none';
+  if (/^(truecolor|24bit)$/i.test(env.COLORTERM ?? '')) return 'truecolor';
+  return '256';
+}
+
+/**
+ * Run the command line. Returns the exit code rather than exiting, so
+ * it can be driven from tests.
+ *
+ * @param {string[]} argv - Arguments, without the node and script paths
+ * @param {Object} io - Streams and environment
+ * @param {{ write: Function }} io.stdout - Output stream
+ * @param {{ write: Function }} io.stderr - Error stream
+ * @param {Object} io.env - Environment variables
+ * @returns {number} Exit code: 0 on success, 1 on failure, 2 on bad usage
+ */
+export function run(argv, io = {}) {
+  const { stdout = process.stdout, stderr = process.stderr, env = process.env } = io;
+
+  try {
+    const { values, positionals } = parseCommandLine(argv);
+
+    if (values.help) {
+      stdout.write(USAGE);
+      return 0;
+    }
+    if (values.version) {
+      stdout.write(`${readVersion()}\n`);
+      return 0;
+    }
+
+    const [file] = positionals;
+    const revisions = values.dir
+      ? readSnapshotDirectory(values.dir)
+      : readGitHistory(file, { maxCount: values['max-count'] });
+
+    if (revisions.length === 0) {
+      throw new Error(values.dir
+        ? `No numbered snapshot files in ${values.dir}`
+        : `No git history for ${file}`);
+    }
+
+    const options = {
+      granularity: values.granularity,
+      format: values.markup,
+      trackDeletions: values['track-deletions'],
+      detectMoves: values['detect-moves']
+    };
+    const title = values.title ?? basename(file ?? values.dir);
+
+    if (values.format === 'report') {
+      const report = deepDiffReport(revisions, {
+        ...options,
+        title,
+        byAuthor: values['by-author'],
+        theme: { palette: values.palette }
+      });
+      return write(report, values.output, stdout);
+    }
+
+    const result = computeDeepDiff(revisions, options);
+    const { text, source, markers, tombstones } = result;
+
+    let output;
+    if (values.format === 'json') {
+      output = serializeDeepDiff(result, options) + '\n';
+    } else if (values.format === 'ansi') {
+      const color = values.color ?? colorFromEnv(env);
+      output = renderAnsi(text, markers, { color, tombstones });
+      if (!output.endsWith('\n')) output += '\n';
+    } else {
+      const byAuthor = values['by-author'];
+      const authors = byAuthor ? revisions.map(r => r.author).filter(Boolean) : null;
+      const body = renderWithMarkers(source ?? text, markers, {
+        byAuthor,
+        tombstones,
+        format: values.markup,
+        escapeSource: values.markup === 'markdown'
+      });
+      output = htmlPage(title, body, { authors, markup: values.markup, palette: values.palette });
+    }
+
+    return write(output, values.output, stdout);
+  } catch (error) {
+    const message = error.stderr?.toString().trim() || error.message;
+    stderr.write(`deep-diffs: ${message}\n`);
+    if (error instanceof UsageError) {
+      stderr.write('Try \'deep-diffs --help\' for more information.\n');
+      return 2;
+    }
+    return 1;
+  }
+}
+
+/**
+ * Write output to a file if one was given, otherwise to stdout.
+ * Returns the success exit code.
+ */
+function write(output, file, stdout) {
+  if (file) {
+    writeFileSync(file, output);
+  } else {
+    stdout.write(output);
+  }
+  return 0;
+}
+
+/**
+ * Parse and validate arguments, throwing UsageError on bad input.
+ */
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help || values.version) return parsed;
+
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`Unknown format "${values.format}" (expected ${FORMATS.join(', ')})`);
+  }
+  if (values.color != null && !COLOR_MODES.includes(values.color)) {
+    throw new UsageError(`Unknown color mode "${values.color}" (expected ${COLOR_MODES.join(', ')})`);
+  }
+  if (!GRANULARITIES.includes(values.granularity)) {
+    throw new UsageError(`Unknown granularity "${values.granularity}" (expected ${GRANULARITIES.join(', ')})`);
+  }
+  if (!MARKUPS.includes(values.markup)) {
+    throw new UsageError(`Unknown markup "${values.markup}" (expected ${MARKUPS.join(', ')})`);
+  }
+  if (!PALETTES.includes(values.palette)) {
+    throw new UsageError(`Unknown palette "${values.palette}" (expected ${PALETTES.join(', ')})`);
+  }
+  if (values.dir && positionals.length > 0) {
+    throw new UsageError('Give either a file or --dir, not both');
+  }
+  if (!values.dir && positionals.length !== 1) {
+    throw new UsageError('Expected a file to read history for');
+  }
+  if (values['max-count'] != null) {
+    if (values.dir) {
+      throw new UsageError('--max-count only applies to git history, not --dir');
+    }
+    const maxCount = Number(values['max-count']);
+    if (!Number.isInteger(maxCount) || maxCount < 1) {
+      throw new UsageError(`--max-count must be a positive integer, got "${values['max-count']}"`);
+    }
+    values['max-count'] = maxCount;
+  }
+  return { values, positionals };
+}
+
+/**
+ * Package version, read from the package.json next to src/ or dist/.
+ */
+function readVersion() {
+  const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+  return pkg.version;
+}
+
+function escapeHtml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Run when executed directly (including through the npm bin symlink)
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  process.exitCode = run(process.argv.slice(2));
+}
@@ -1,25 +1,172 @@
+/**
+ * A revision passed to computeDeepDiff: either plain text or an object
+ * carrying the text alongside its metadata.
+ */
+export type Revision = string | RevisionInput;
+
+/**
+ * A revision object. Any extra fields are copied into the RevisionInfo
+ * attached to markers.
+ */
+export interface RevisionInput {
+  /** The revision text */
+  text: string;
+  /** Revision identifier (e.g. a commit hash or database id) */
+  id?: string | number;
+  /** Author of the revision */
+  author?: string;
+  /** When the revision was made */
+  timestamp?: number | string | Date;
+  [key: string]: unknown;
+}
+
+/**
+ * Revision metadata attached to markers.
+ */
+export interface RevisionInfo {
+  /** Position of the revision in the original revisions array */
+  index: number;
+  /** Revision identifier, if supplied */
+  id?: string | number;
+  /** Author of the revision, if supplied */
+  author?: string;
+  /** Timestamp of the revision, if supplied */
+  timestamp?: number | string | Date;
+  [key: string]: unknown;
+}
+
 /**
  * A marker representing a changed region across revisions.
  */
 export interface Marker {
+  /** Marker id, unique within one computation (creation order) */
+  id: number;
   /** Start position (inclusive) */
   start: number;
   /** End position (inclusive) */
   end: number;
   /** Whether the marker is still active */
   enabled: boolean;
+  /** 'insert' for new text, 'move' for text relocated from elsewhere */
+  kind: 'insert' | 'move';
+  /** Revision that created the marker */
+  revision: RevisionInfo | null;
+  /** Later revisions that expanded or contracted the marker */
+  modifiedBy: RevisionInfo[];
   /** Length of the marked region */
   readonly length: number;
 }
 
+/**
+ * A zero-width record of deleted text, anchored in the final text.
+ */
+export interface Tombstone {
+  /** Offset in the text that the deleted content sat just before */
+  position: number;
+  /** The deleted content */
+  text: string;
+  /** Revision that deleted the content */
+  revision: RevisionInfo | null;
+}
+
+/**
+ * A diff operation: [-1, deleted text], [0, unchanged text] or [1, inserted text].
+ */
+export type DiffOp = [-1 | 0 | 1, string];
+
+/** Diff operation codes */
+export const DIFF_DELETE: -1;
+export const DIFF_EQUAL: 0;
+export const DIFF_INSERT: 1;
+
+/**
+ * Diff function: returns the operations turning `before` into `after`.
+ * Deleted and equal texts must join up to `before`, equal and inserted
+ * texts to `after`.
+ */
+export type DiffFunction = (before: string, after: string, revision: RevisionInfo) => DiffOp[];
+
+/**
+ * A diff engine for computeDeepDiff: a diff function, or an object with one.
+ */
+export type DiffEngine = DiffFunction | { diff: DiffFunction };
+
+/**
+ * Cleanup passes of the diff-match-patch engine.
+ */
+export type CleanupPass = 'semantic' | 'semanticLossless' | 'efficiency' | 'merge';
+
+/**
+ * Options for createDiffMatchPatchEngine.
+ */
+export interface DiffMatchPatchOptions {
+  /** Diff computation timeout in seconds (default: 1) */
+  timeout?: number;
+  /** Cost of an edit operation for the efficiency cleanup (default: 4) */
+  editCost?: number;
+  /** Cleanup passes to run, in order (default: ['semantic', 'efficiency']) */
+  cleanup?: CleanupPass[] | false;
+}
+
+/**
+ * A block of text relocated by a revision (with `detectMoves`).
+ */
+export interface Move {
+  /** Offset of the block in the old text */
+  from: number;
+  /** Offset of the block in the new text */
+  to: number;
+  /** Length of the block */
+  length: number;
+}
+
+/**
+ * An inclusive range of the text.
+ */
+export interface Range {
+  start: number;
+  end: number;
+}
+
+/**
+ * One change to one marker, as recorded with the `events` option.
+ */
+export interface MarkerEvent {
+  /**
+   * 'create' for a new marker; 'shift', 'expand' and 'contract' when an
+   * edit moved or resized it; 'move' when it travelled with a moved
+   * block; 'subsume' when a deletion removed it; 'merge' when `coalesce`
+   * merged it into another marker
+   */
+  type: 'create' | 'shift' | 'expand' | 'contract' | 'move' | 'subsume' | 'merge';
+  /** Id of the marker affected */
+  markerId: number;
+  /** The diff operation responsible (the move, for 'move' events; null for 'merge') */
+  op: DiffOp | Move | null;
+  /** Range before the change (null for 'create') */
+  before: Range | null;
+  /** Range after the change (null for 'subsume'; the merged marker's, for 'merge') */
+  after: Range | null;
+  /** 'merge' only: id of the marker it was merged into */
+  into?: number;
+  /** Revision that made the change */
+  revision: RevisionInfo;
+}
+
 /**
  * Result of computing deep diff across revisions.
  */
 export interface DeepDiffResult {
-  /** The final revision text */
+  /** The final revision text (its text content, for markup formats) */
   text: string;
+  /** The final revision's markup source (markup formats only) */
+  source?: string;
   /** Array of active markers */
   markers: Marker[];
+  /** Deleted regions (empty unless `trackDeletions` is set) */
+  tombstones: Tombstone[];
+  /** Marker events, oldest first (only with the `events` option) */
+  events?: MarkerEvent[];
 }
 
 /**
@@ -30,8 +177,112 @@ export interface ComputeOptions {
   skipEmpty?: boolean;
   /** Diff computation timeout in seconds (default: 1) */
   timeout?: number;
+  /** Record deleted text as tombstones (default: false) */
+  trackDeletions?: boolean;
+  /**
+   * Treat text cut from one place and pasted elsewhere as a move, so its
+   * markers travel with it (default: false)
+   */
+  detectMoves?: boolean;
+  /** Shortest block, in characters, considered a move (default: 20) */
+  minMoveLength?: number;
+  /**
+   * Unit to diff by. Coarser units keep markers aligned to whole words,
+   * lines or sentences; offsets are always in characters (default: 'char')
+   */
+  granularity?: Granularity;
+  /**
+   * Record the state after every revision so DeepDiffSession#at() can
+   * rewind to it (default: false). Costs memory proportional to the
+   * number of revisions.
+   */
+  keepHistory?: boolean;
+  /**
+   * How to treat whitespace (default: 'trim'):
+   * - 'trim' ignores whitespace edits at either end of each revision
+   * - 'preserve' counts every change
+   * - 'normalize' converts line endings to \n, then preserves
+   * - 'ignore' makes no markers or tombstones for whitespace-only changes
+   *
+   * Offsets always index the final revision as given (with normalized
+   * line endings, for 'normalize').
+   */
+  whitespace?: WhitespacePolicy;
+  /**
+   * Source format (default: 'text'). For 'markdown' and 'html' only the
+   * text content is diffed, marker offsets index the text content, and
+   * the result carries the markup `source` for rendering.
+   */
+  format?: SourceFormat;
+  /**
+   * Also return `events`: every marker each revision created, shifted,
+   * expanded, contracted, moved or subsumed, with the diff op behind it
+   * (default: false)
+   */
+  events?: boolean;
+  /**
+   * Diff engine (default: diff-match-patch). With a token granularity the
+   * engine diffs the encoded token strings. Not serialized.
+   */
+  engine?: DiffEngine;
+  /** Default engine: cost of an edit operation (default: 4) */
+  editCost?: number;
+  /** Default engine: cleanup passes (default: ['semantic', 'efficiency']) */
+  cleanup?: CleanupPass[] | false;
+  /** Merge touching markers after each revision (default: none) */
+  coalesce?: CoalescePolicy | CoalescePredicate;
+  /**
+   * Unit for marker and tombstone offsets (default: 'utf16'). Diffs never
+   * split a code point, nor a grapheme cluster with 'grapheme'. Event log
+   * ranges stay in UTF-16 units.
+   */
+  offsets?: OffsetUnit;
+}
+
+/**
+ * Decides whether two touching markers of the same kind merge.
+ */
+export type CoalescePredicate = (a: Marker, b: Marker) => boolean;
+
+/**
+ * When touching markers merge. Any part that applies is enough.
+ */
+export interface CoalescePolicy {
+  /** Merge markers created by the same revision */
+  revision?: boolean;
+  /** Merge markers by the same author */
+  author?: boolean;
+  /** Author: only merge markers created at most this far apart (default: no limit) */
+  window?: number;
+  /** Author: measure the window in milliseconds or revisions (default: 'time') */
+  by?: 'time' | 'revision';
+  /** Merge a marker into one that contains it, unless both have authors and they differ */
+  contained?: boolean;
+  /** Custom predicate */
+  merge?: CoalescePredicate;
 }
 
+/**
+ * Whitespace policy for computeDeepDiff.
+ */
+export type WhitespacePolicy = 'trim' | 'preserve' | 'normalize' | 'ignore';
+
+/**
+ * Unit of text offsets: UTF-16 code units (JavaScript string indices),
+ * Unicode code points, or grapheme clusters (user-perceived characters).
+ */
+export type OffsetUnit = 'utf16' | 'codepoint' | 'grapheme';
+
+/**
+ * Source format of revision texts.
+ */
+export type SourceFormat = 'text' | 'markdown' | 'html';
+
+/**
+ * Diff granularity for computeDeepDiff.
+ */
+export type Granularity = 'char' | 'word' | 'line' | 'sentence';
+
 /**
  * Options for rendering markers as HTML.
  */
@@ -40,6 +291,126 @@ export interface RenderOptions {
   tagName?: string;
   /** CSS class for marker tags (default: 'deep-diff') */
   className?: string;
+  /**
+   * Add an author class and `data-author` attribute to each marker
+   * created by a revision with an author (default: false)
+   */
+  byAuthor?: boolean;
+  /** Deletions to render as `<del>` elements */
+  tombstones?: Tombstone[];
+  /**
+   * How to render tombstones: 'inline' shows the deleted text inside
+   * `<del>`, 'marker' emits an empty `<del>` with the text in its title
+   * (default: 'inline')
+   */
+  deletions?: 'inline' | 'marker';
+  /**
+   * Weight markers by age: each tag gets `data-weight` and a
+   * `--deep-diff-weight` custom property (see getMarkerWeights)
+   */
+  decay?: DecayOptions;
+  /**
+   * 'nested' nests a tag per marker; 'flat' emits one well-formed tag per
+   * run of equal overlap, with a `depth-N` class and `data-depth`
+   * attribute (default: 'nested')
+   */
+  mode?: 'nested' | 'flat';
+  /** Flat mode: cap for the `depth-N` class; `data-depth` keeps the true depth (default: 5) */
+  maxDepth?: number;
+  /**
+   * 'markdown' or 'html' to treat the text as a markup `source` from
+   * computeDeepDiff: tags are injected into text runs only and the markup
+   * is passed through unescaped (default: 'text')
+   */
+  format?: SourceFormat;
+  /**
+   * With a markup `format`, escape the source instead so only the marker
+   * tags are HTML (default: false)
+   */
+  escapeSource?: boolean;
+  /**
+   * Add a `title` tooltip listing the revisions that created and changed
+   * each marker (default: false)
+   */
+  tooltips?: boolean;
+  /** Unit of the marker and tombstone offsets (default: 'utf16') */
+  offsets?: OffsetUnit;
+}
+
+/**
+ * How marker weights decay with age.
+ */
+export interface DecayOptions {
+  /** Decay curve (default: 'half-life') */
+  type?: 'linear' | 'exponential' | 'half-life';
+  /** Measure age in revisions or in milliseconds between timestamps (default: 'revision') */
+  by?: 'revision' | 'time';
+  /** Linear: age at which the weight reaches 0 (default: 50 revisions or 365 days) */
+  window?: number;
+  /** Exponential: weight is e^(-rate * age) (default: 0.1 per revision, or a 30 day half-life) */
+  rate?: number;
+  /** Half-life: age at which the weight halves (default: 10 revisions or 30 days) */
+  halfLife?: number;
+  /** Revision index or timestamp to measure age from (default: newest revision among the markers) */
+  now?: number | string | Date;
+}
+
+/**
+ * Options for getDefaultStyles and getAuthorStyles.
+ */
+export interface StyleOptions {
+  /** Scale each level by the marker's `--deep-diff-weight` (default: false) */
+  weighted?: boolean;
+  /** Target flat rendering's `depth-N` classes instead of descendant selectors (default: false) */
+  flat?: boolean;
+  /** Class the markers were rendered with (default: 'deep-diff') */
+  className?: string;
+  /** Opacity ramp: depth 1 at `start`, plus `step` per level, capped at `max` */
+  alpha?: AlphaRamp;
+}
+
+/**
+ * Opacity ramp for the depth levels (default: { start: 0.3, step: 0.15, max: 0.9 }).
+ */
+export interface AlphaRamp {
+  start?: number;
+  step?: number;
+  max?: number;
+}
+
+/**
+ * A colour as '#rgb', '#rrggbb' or [r, g, b].
+ */
+export type Color = string | [number, number, number];
+
+/**
+ * Built-in palettes. 'blue', 'viridis' and 'cividis' are colorblind-safe.
+ */
+export type PaletteName = 'green' | 'heat' | 'blue' | 'viridis' | 'cividis';
+
+/**
+ * Heatmap colours. An explicit gradient beats a colour, which beats a palette.
+ */
+export interface ThemeOptions {
+  /** Built-in palette (default: 'green') */
+  palette?: PaletteName;
+  /** Single base colour for every depth */
+  color?: Color;
+  /** Colour stops from shallowest to deepest */
+  gradient?: Color[];
+  /** Opacity ramp */
+  alpha?: AlphaRamp;
+}
+
+/**
+ * Options for getDefaultStyles.
+ */
+export interface DefaultStyleOptions extends StyleOptions, ThemeOptions {
+  /**
+   * Add a `prefers-color-scheme: dark` variant: true for the palette's own
+   * dark colours, or overrides for the dark scheme (default: false)
+   */
+  dark?: boolean | ThemeOptions;
 }
 
 /**
@@ -50,19 +421,305 @@ export type DeepDiffHtmlOptions = ComputeOptions & RenderOptions;
 /**
  * Compute cumulative diff markers across a sequence of text revisions.
  *
- * @param revisions - Array of text versions, oldest first
+ * @param revisions - Array of text versions or revision objects, oldest first
  * @param options - Configuration options
  * @returns Object containing final text and markers
  */
 export function computeDeepDiff(
-  revisions: string[],
+  revisions: Revision[],
   options?: ComputeOptions
 ): DeepDiffResult;
 
+/**
+ * Progress of an asynchronous computation, counted in revisions.
+ */
+export interface DeepDiffProgress {
+  completed: number;
+  total: number;
+}
+
+/**
+ * Options for computeDeepDiffAsync and computeDeepDiffInWorker.
+ */
+export interface AsyncComputeOptions extends ComputeOptions {
+  /** Called after each revision */
+  onProgress?: (progress: DeepDiffProgress) => void;
+  /** Cancels the computation; the promise rejects with the signal's reason */
+  signal?: AbortSignal;
+}
+
+/**
+ * computeDeepDiff that yields to the event loop between revisions,
+ * reports progress and can be cancelled.
+ *
+ * @param revisions - Array of text versions or revision objects, oldest first
+ * @param options - Configuration options
+ * @returns Promise of the computeDeepDiff result
+ */
+export function computeDeepDiffAsync(
+  revisions: Revision[],
+  options?: AsyncComputeOptions
+): Promise<DeepDiffResult>;
+
+/**
+ * The parts of a Worker computeDeepDiffInWorker uses.
+ */
+export interface DeepDiffWorker {
+  postMessage(message: unknown): void;
+  addEventListener(type: 'message' | 'error', listener: (event: any) => void): void;
+  removeEventListener(type: 'message' | 'error', listener: (event: any) => void): void;
+}
+
+/**
+ * Compute a deep diff on a worker running `@rossshannon/deep-diffs/worker`.
+ * Options must survive structured cloning, so no custom `engine` or
+ * predicate functions; `onProgress` and `signal` stay on the calling side.
+ *
+ * @param worker - Worker running the worker entry
+ * @param revisions - Array of text versions or revision objects, oldest first
+ * @param options - Configuration options
+ * @returns Promise of the computeDeepDiff result, with live markers
+ */
+export function computeDeepDiffInWorker(
+  worker: DeepDiffWorker,
+  revisions: Revision[],
+  options?: AsyncComputeOptions
+): Promise<DeepDiffResult>;
+
+/**
+ * One edit operation: Quill-style `{ retain }`, `{ insert }` or `{ delete }`
+ * objects (attributes are ignored), or ot.js-style values — a positive
+ * number retains, a string inserts, a negative number deletes.
+ */
+export type Operation =
+  | { retain: number; attributes?: unknown }
+  | { insert: string; attributes?: unknown }
+  | { delete: number }
+  | number
+  | string;
+
+/**
+ * A list of operations on the current text, or a Quill Delta holding one.
+ */
+export type OperationList = Operation[] | { ops: Operation[] };
+
+/**
+ * An edit for computeDeepDiffFromOperations: an operation list, or an
+ * object carrying one alongside revision metadata.
+ */
+export type OperationChange = OperationList | OperationChangeInput;
+
+/**
+ * An operation list with revision metadata.
+ */
+export interface OperationChangeInput {
+  /** Operations on the text as of the previous change */
+  ops: OperationList;
+  /** Revision identifier */
+  id?: string | number;
+  /** Author of the change */
+  author?: string;
+  /** When the change was made */
+  timestamp?: number | string | Date;
+  [key: string]: unknown;
+}
+
+/**
+ * Compute cumulative diff markers from an initial text and a sequence of
+ * edits given as operation lists, without re-diffing full texts. The
+ * initial text is revision 0.
+ *
+ * @param initialText - Text the first operations apply to
+ * @param changes - Operation lists, oldest first
+ * @param options - Same options as computeDeepDiff; `skipEmpty`,
+ *   `granularity`, `engine` and `format` don't apply
+ */
+export function computeDeepDiffFromOperations(
+  initialText: string,
+  changes: OperationChange[],
+  options?: ComputeOptions
+): DeepDiffResult;
+
+/**
+ * Merge touching markers according to a coalescing policy. The merged
+ * marker keeps the older marker's id and revision and lists the newer
+ * one's revision in `modifiedBy`.
+ *
+ * @param markers - Markers to coalesce (left unchanged)
+ * @param policy - Coalescing policy or predicate
+ * @returns Coalesced copies, ordered by start
+ */
+export function coalesceMarkers(markers: Marker[], policy: CoalescePolicy | CoalescePredicate): Marker[];
+
+/**
+ * Create the default diff engine: diff-match-patch with configurable
+ * cleanup passes.
+ *
+ * @param options - Engine options
+ */
+export function createDiffMatchPatchEngine(options?: DiffMatchPatchOptions): { diff: DiffFunction };
+
+/**
+ * Incremental deep diff: revisions are pushed one at a time and only the
+ * newest diff is applied to the existing markers.
+ */
+export class DeepDiffSession {
+  /**
+   * @param options - Same options as computeDeepDiff
+   */
+  constructor(options?: ComputeOptions);
+
+  /**
+   * Apply the next revision.
+   *
+   * @param revision - Revision text or revision object
+   * @returns The session, for chaining
+   */
+  push(revision: Revision): this;
+
+  /**
+   * Apply a revision given as operations on the current text. Texts are
+   * not trimmed or normalized and never skipped (though `whitespace: 'ignore'`
+   * still applies); on a session with no text yet, the operations build
+   * the base text. Text format only. Operation lengths count UTF-16
+   * code units, whatever the `offsets` unit.
+   *
+   * @param ops - Operations on `session.text`
+   * @param meta - Revision metadata
+   * @returns The session, for chaining
+   */
+  apply(ops: OperationList, meta?: Omit<RevisionInput, 'text'>): this;
+
+  /** Latest revision text (its text content, for markup formats) */
+  readonly text: string;
+  /** Latest revision's markup source; undefined for the text format */
+  readonly source: string | undefined;
+  /** Active markers (live: updated by later pushes) */
+  readonly markers: Marker[];
+  /** Tombstones (live: updated by later pushes) */
+  readonly tombstones: Tombstone[];
+  /** Marker events so far (needs `events`; not serialized) */
+  readonly events: MarkerEvent[];
+  /** Number of revisions pushed so far, including skipped ones */
+  readonly revisionCount: number;
+
+  /**
+   * Copy of the current state, unaffected by later pushes.
+   */
+  snapshot(): DeepDiffResult;
+
+  /**
+   * State as of revision `k` (its index among pushed revisions, skipped
+   * ones included; negative values count back from the latest). Requires
+   * the `keepHistory` option.
+   *
+   * @param k - Revision index
+   * @returns The state, or undefined if `k` is out of range
+   */
+  at(k: number): DeepDiffResult | undefined;
+
+  /**
+   * Serializable form of the session, so `JSON.stringify(session)` works.
+   * Recorded history is not included.
+   */
+  toJSON(): DeepDiffSnapshot;
+
+  /**
+   * Resume a session from serialized data. A custom `engine` is not
+   * serialized; pass it again in `options`.
+   *
+   * @param data - Output of serializeDeepDiff or toJSON
+   * @param options - Options to override the saved ones
+   */
+  static fromJSON(data: string | DeepDiffSnapshot, options?: ComputeOptions): DeepDiffSession;
+}
+
+/**
+ * Compute a deep diff that can be rewound: returns a session with
+ * `keepHistory` enabled, so `at(k)` gives the state as of any revision.
+ *
+ * @param revisions - Array of text versions or revision objects, oldest first
+ * @param options - Configuration options
+ * @returns Session holding every intermediate state
+ */
+export function computeDeepDiffTimeline(
+  revisions: Revision[],
+  options?: ComputeOptions
+): DeepDiffSession;
+
+/**
+ * Versioned JSON snapshot of a deep diff. Markers and tombstones refer
+ * to revisions by their position in `revisions`.
+ */
+export interface DeepDiffSnapshot {
+  format: 'deep-diff';
+  version: 1;
+  /** Processing options the snapshot was computed with */
+  options: ComputeOptions;
+  /** Revisions pushed so far (sessions only) */
+  revisionCount?: number;
+  /** Next marker id to hand out (sessions only) */
+  nextId?: number;
+  /** Whether any revision has been accepted yet (sessions only) */
+  started?: boolean;
+  text: string;
+  /** Markup source (markup formats only) */
+  source?: string;
+  markers: Array<{
+    id: number | null;
+    start: number;
+    end: number;
+    kind: 'insert' | 'move';
+    revision: number | null;
+    modifiedBy: number[];
+  }>;
+  tombstones: Array<{
+    position: number;
+    text: string;
+    revision: number | null;
+  }>;
+  revisions: RevisionInfo[];
+}
+
+/**
+ * A deserialized deep diff.
+ */
+export interface RestoredDeepDiff extends DeepDiffResult {
+  /** Processing options the snapshot was computed with */
+  options: ComputeOptions;
+  /** Revisions pushed so far */
+  revisionCount: number;
+  /** Next marker id to hand out */
+  nextId: number;
+  /** Whether any revision had been accepted */
+  started: boolean;
+}
+
+/**
+ * Serialize a deep diff result or session to a versioned JSON string.
+ *
+ * @param source - computeDeepDiff result or session
+ * @param options - Processing options to record with a result (sessions
+ *   record their own)
+ * @returns JSON string
+ */
+export function serializeDeepDiff(
+  source: DeepDiffResult | DeepDiffSession,
+  options?: ComputeOptions
+): string;
+
+/**
+ * Restore a serialized deep diff with live Marker and Tombstone instances.
+ *
+ * @param data - Output of serializeDeepDiff
+ * @returns Restored text, markers, tombstones and options
+ */
+export function deserializeDeepDiff(data: string | DeepDiffSnapshot): RestoredDeepDiff;
+
 /**
  * Render text with markers as HTML with nested tags.
  *
- * @param text - The final text
+ * @param text - The final text, or the markup `source` with the `format` option
  * @param markers - Array of markers to render
  * @param options - Rendering options
  * @returns HTML string with nested marker tags
@@ -76,28 +733,315 @@ export function renderWithMarkers(
 /**
  * Convenience function: compute deep diff and render as HTML.
  *
- * @param revisions - Array of text versions, oldest first
+ * @param revisions - Array of text versions or revision objects, oldest first
  * @param options - Combined compute and render options
  * @returns HTML string with nested marker tags
  */
 export function deepDiffHtml(
-  revisions: string[],
+  revisions: Revision[],
   options?: DeepDiffHtmlOptions
 ): string;
 
+/**
+ * Options for deepDiffReport: compute and render options (except
+ * `className`), plus report settings.
+ */
+export interface DeepDiffReportOptions extends ComputeOptions, Omit<RenderOptions, 'tombstones'> {
+  /** Page title (default: 'Deep diff report') */
+  title?: string;
+  /** Depth levels to style and show in the legend (default: 5) */
+  maxDepth?: number;
+  /** Number of hottest regions to list (default: 5) */
+  top?: number;
+  /** Include the list of revisions (default: true) */
+  revisionList?: boolean;
+  /** Colours for the inlined styles */
+  theme?: Pick<DefaultStyleOptions, 'palette' | 'color' | 'gradient' | 'alpha' | 'dark'>;
+}
+
+/**
+ * Build a complete, self-contained HTML report: the heatmap with
+ * per-marker tooltips, a depth legend, the hottest regions and an
+ * optional revision list, with styles inlined and no scripts.
+ *
+ * @param revisions - Array of text versions or revision objects, oldest first
+ * @param options - Report options
+ * @returns HTML document
+ */
+export function deepDiffReport(
+  revisions: Revision[],
+  options?: DeepDiffReportOptions
+): string;
+
+/**
+ * Options for renderAnsi.
+ */
+export interface AnsiRenderOptions {
+  /** Colour mode; 'none' marks changes with brackets instead (default: '256') */
+  color?: '256' | 'truecolor' | 'none';
+  /** Depth at which the colour scale peaks (default: 5) */
+  maxDepth?: number;
+  /** Truecolor: terminal background as [r, g, b] (default: [0, 0, 0]) */
+  background?: [number, number, number];
+  /** Deletions to show as struck-through text */
+  tombstones?: Tombstone[];
+  /** Plain text: marker delimiters (default: ['[', ']']) */
+  brackets?: [string, string];
+  /** Plain text: tombstone delimiters (default: ['[-', '-]']) */
+  deletionBrackets?: [string, string];
+  /** Unit of the marker and tombstone offsets (default: 'utf16') */
+  offsets?: OffsetUnit;
+}
+
+/**
+ * Render text with markers for a terminal, mapping nesting depth to a
+ * graded 256-colour or truecolor background, or to bracket markers
+ * with `color: 'none'`.
+ *
+ * @param text - The final text
+ * @param markers - Array of markers to render
+ * @param options - Rendering options
+ * @returns Text with ANSI escape sequences or bracket markers
+ */
+export function renderAnsi(
+  text: string,
+  markers: Marker[],
+  options?: AnsiRenderOptions
+): string;
+
+/**
+ * A run of text covered by the same set of markers.
+ */
+export interface DepthSegment {
+  /** Start position (inclusive) */
+  start: number;
+  /** End position (inclusive) */
+  end: number;
+  /** Number of markers covering the run */
+  depth: number;
+  /** Ids of the covering markers (array index for markers without an id) */
+  markerIds: number[];
+  /** Summed weights of the covering markers, when a `decay` was given */
+  heat?: number;
+}
+
+/**
+ * Depth map of a text and its summary statistics.
+ */
+export interface DepthMap {
+  /** Segments covering the whole text in order, including depth 0 */
+  segments: DepthSegment[];
+  /** Deepest nesting anywhere in the text */
+  maxDepth: number;
+  /** Number of characters at each depth, indexed by depth */
+  histogram: number[];
+  /** Deepest (or hottest, with `decay`) segments, longest first among ties */
+  hottest: DepthSegment[];
+}
+
+/**
+ * Options for getDepthMap.
+ */
+export interface DepthMapOptions {
+  /** Number of hottest segments to report (default: 5) */
+  top?: number;
+  /** Weight markers by age and rank segments by heat */
+  decay?: DecayOptions;
+  /** Unit of the marker offsets, and so of the segments and histogram (default: 'utf16') */
+  offsets?: OffsetUnit;
+}
+
+/**
+ * Collapse overlapping markers into a run-length depth map of the text.
+ *
+ * @param text - The final text
+ * @param markers - Markers to collapse
+ * @param options - Depth map options
+ * @returns Segments plus max depth, depth histogram and hottest segments
+ */
+export function getDepthMap(
+  text: string,
+  markers: Marker[],
+  options?: DepthMapOptions
+): DepthMap;
+
+/**
+ * One-based line and column of a position in a text.
+ */
+export interface LineColumn {
+  line: number;
+  column: number;
+}
+
+/**
+ * A marker's range in lines and columns. The end points at the marker's
+ * last character, like marker offsets.
+ */
+export interface LineRange {
+  start: LineColumn;
+  end: LineColumn;
+}
+
+/**
+ * Churn on one line of the text.
+ */
+export interface LineChurn {
+  /** One-based line number */
+  line: number;
+  /** Deepest marker nesting on the line */
+  maxDepth: number;
+  /** Number of markers touching the line */
+  markerCount: number;
+  /** Ids of those markers (array index for markers without an id) */
+  markerIds: number[];
+  /** Revisions that created or reshaped those markers, oldest first */
+  revisions: RevisionInfo[];
+}
+
+/**
+ * Options for getMarkerLineRanges and getLineChurn.
+ */
+export interface LineOptions {
+  /** Unit of the marker offsets, and of the columns (default: 'utf16') */
+  offsets?: OffsetUnit;
+}
+
+/**
+ * Express markers as line/column ranges, for editor gutters and
+ * decorations.
+ *
+ * @param text - The final text
+ * @param markers - Markers to locate
+ * @param options - Line options
+ * @returns One range per marker, in order; null for disabled markers
+ */
+export function getMarkerLineRanges(
+  text: string,
+  markers: Marker[],
+  options?: LineOptions
+): Array<LineRange | null>;
+
+/**
+ * Summarise churn line by line: maximum depth, markers and contributing
+ * revisions for every line of the text.
+ *
+ * @param text - The final text
+ * @param markers - Markers to summarise
+ * @param options - Line options
+ * @returns One entry per line, in order
+ */
+export function getLineChurn(
+  text: string,
+  markers: Marker[],
+  options?: LineOptions
+): LineChurn[];
+
+/**
+ * Weight each marker by the age of the revision that created it, from 1
+ * for the newest revision down towards 0. Markers with no revision (or no
+ * timestamp, when decaying by time) keep full weight.
+ *
+ * @param markers - Markers to weigh
+ * @param decay - Decay settings
+ * @returns One weight per marker, in order
+ */
+export function getMarkerWeights(markers: Marker[], decay?: DecayOptions): number[];
+
 /**
  * Get CSS for styling nested markers with increasing intensity.
  *
  * @param maxDepth - Maximum nesting depth to generate styles for (default: 5)
+ * @param options - Style options
  * @returns CSS string
  */
-export function getDefaultStyles(maxDepth?: number): string;
+export function getDefaultStyles(maxDepth?: number, options?: DefaultStyleOptions): string;
+
+/**
+ * Get CSS giving each author a distinct hue, with nesting depth still
+ * controlling intensity. Hues are stable for a given set of authors.
+ * Pair with `renderWithMarkers(..., { byAuthor: true })`.
+ *
+ * @param authors - Author names to generate rules for
+ * @param maxDepth - Maximum nesting depth to generate styles for (default: 5)
+ * @param options - Style options
+ * @returns CSS string
+ */
+export function getAuthorStyles(
+  authors: string[],
+  maxDepth?: number,
+  options?: StyleOptions
+): string;
+
+/**
+ * CSS class name used for an author's markers, e.g. `deep-diff-author-alice`.
+ *
+ * @param author - Author name
+ * @param className - Base marker class (default: 'deep-diff')
+ * @returns Class name
+ */
+export function getAuthorClassName(author: string, className?: string): string;
+
+/**
+ * Convert an offset into a text between units. An offset inside a code
+ * point or grapheme cluster maps to the one containing it.
+ *
+ * @param text - The text the offset indexes
+ * @param offset - Offset in `from` units, from 0 to the text's length
+ * @param from - Unit of `offset`
+ * @param to - Unit to convert to
+ * @returns Offset in `to` units
+ */
+export function convertOffset(text: string, offset: number, from: OffsetUnit, to: OffsetUnit): number;
+
+/**
+ * Byte offset in the UTF-8 encoding of a text of an offset into it.
+ *
+ * @param text - The text the offset indexes
+ * @param offset - Offset, from 0 to the text's length
+ * @param unit - Unit of `offset` (default: 'utf16')
+ * @returns UTF-8 byte offset
+ */
+export function offsetToByte(text: string, offset: number, unit?: OffsetUnit): number;
+
+/**
+ * One-based line and column of an offset into a text. Lines end at
+ * `\n`, `\r\n` or `\r`; columns count in the offset's unit.
+ *
+ * @param text - The text the offset indexes
+ * @param offset - Offset, from 0 to the text's length
+ * @param unit - Unit of `offset` and of the column (default: 'utf16')
+ */
+export function offsetToLineColumn(
+  text: string,
+  offset: number,
+  unit?: OffsetUnit
+): LineColumn;
 
 declare const _default: {
   computeDeepDiff: typeof computeDeepDiff;
+  computeDeepDiffAsync: typeof computeDeepDiffAsync;
+  computeDeepDiffInWorker: typeof computeDeepDiffInWorker;
+  computeDeepDiffFromOperations: typeof computeDeepDiffFromOperations;
+  DeepDiffSession: typeof DeepDiffSession;
+  computeDeepDiffTimeline: typeof computeDeepDiffTimeline;
+  createDiffMatchPatchEngine: typeof createDiffMatchPatchEngine;
+  coalesceMarkers: typeof coalesceMarkers;
+  convertOffset: typeof convertOffset;
+  offsetToByte: typeof offsetToByte;
+  offsetToLineColumn: typeof offsetToLineColumn;
+  serializeDeepDiff: typeof serializeDeepDiff;
+  deserializeDeepDiff: typeof deserializeDeepDiff;
   renderWithMarkers: typeof renderWithMarkers;
   deepDiffHtml: typeof deepDiffHtml;
+  deepDiffReport: typeof deepDiffReport;
+  renderAnsi: typeof renderAnsi;
+  getDepthMap: typeof getDepthMap;
+  getMarkerLineRanges: typeof getMarkerLineRanges;
+  getLineChurn: typeof getLineChurn;
+  getMarkerWeights: typeof getMarkerWeights;
   getDefaultStyles: typeof getDefaultStyles;
+  getAuthorStyles: typeof getAuthorStyles;
+  getAuthorClassName: typeof getAuthorClassName;
 };
 
 export default _default;
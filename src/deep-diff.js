@@ -9,9 +9,108 @@
 
 import DiffMatchPatch from 'diff-match-patch';
 
-const DIFF_DELETE = -1;
-const DIFF_INSERT = 1;
-const DIFF_EQUAL = 0;
+/** Diff operation codes, as in diff-match-patch: `[op, text]` tuples */
+export const DIFF_DELETE = -1;
+export const DIFF_INSERT = 1;
+export const DIFF_EQUAL = 0;
+
+// Cleanup passes available to createDiffMatchPatchEngine
+const CLEANUP_PASSES = {
+  semantic: 'diff_cleanupSemantic',
+  semanticLossless: 'diff_cleanupSemanticLossless',
+  efficiency: 'diff_cleanupEfficiency',
+  merge: 'diff_cleanupMerge'
+};
+
+// Serialized snapshot format (see serializeDeepDiff)
+const SNAPSHOT_FORMAT = 'deep-diff';
+const SNAPSHOT_VERSION = 1;
+
+// Token patterns for coarser diff granularities. Each must cover every
+// character of the input so tokens join back into the original text.
+const TOKEN_PATTERNS = {
+  word: /\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu,
+  line: /[^\n]*\n|[^\n]+/g,
+  sentence: /[^.!?\n]*(?:[.!?]+|\n)\s*|[^.!?\n]+/g
+};
+
+// Source formats whose markup is kept out of the diff (see parseMarkup)
+const MARKUP_FORMATS = new Set(['text', 'markdown', 'html']);
+
+// Units that marker offsets can be reported in
+const OFFSET_UNITS = new Set(['utf16', 'codepoint', 'grapheme']);
+
+// Whitespace policies for revision texts
+const WHITESPACE_POLICIES = new Set(['trim', 'preserve', 'normalize', 'ignore']);
+
+// Tags a diff operation that moves markers but creates no marker or
+// tombstone of its own (whitespace the policy doesn't count as a change)
+const SILENT = Object.freeze({ silent: true });
+
+// keepHistory: revisions between full copies of the markers; at() replays
+// the recorded edits since the nearest copy
+const CHECKPOINT_INTERVAL = 32;
+
+// Default opacity ramp: depth 1 at 0.3, +0.15 per level, capped at 0.9
+const DEFAULT_RAMP = { start: 0.3, step: 0.15, max: 0.9 };
+
+// Built-in palettes for getDefaultStyles: colour stops from shallowest to
+// deepest, for light and dark backgrounds. 'blue', 'viridis' and 'cividis'
+// stay distinguishable under common colour-vision deficiencies.
+const PALETTES = {
+  green: { light: [[144, 238, 144]], dark: [[46, 160, 67]] },
+  heat: {
+    light: [[255, 235, 59], [255, 152, 0], [229, 57, 53]],
+    dark: [[255, 214, 0], [255, 120, 0], [255, 64, 64]]
+  },
+  blue: { light: [[100, 149, 237]], dark: [[88, 166, 255]] },
+  viridis: {
+    light: [[253, 231, 37], [94, 201, 98], [33, 145, 140], [59, 82, 139], [68, 1, 84]],
+    dark: [[59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]]
+  },
+  cividis: {
+    light: [[255, 234, 70], [149, 143, 120], [0, 32, 77]],
+    dark: [[65, 77, 107], [149, 143, 120], [255, 234, 70]]
+  }
+};
+
+// Page styles for deepDiffReport, ahead of the heatmap styles
+const REPORT_STYLES = `body { font-family: system-ui, sans-serif; line-height: 1.5; max-width: 50rem; margin: 2rem auto; padding: 0 1rem; color: #222; }
+h1 { margin-bottom: 0.25rem; }
+h2 { font-size: 1.1rem; margin-top: 2rem; border-bottom: 1px solid #ddd; }
+ins, del { text-decoration: none; }
+.deep-diff-report-summary { color: #666; margin-top: 0; }
+.deep-diff-report-legend { display: flex; flex-wrap: wrap; gap: 0.5rem; list-style: none; padding: 0; }
+.deep-diff-report-legend li { padding: 0.1rem 0; }
+.deep-diff-report-document { border: 1px solid #ddd; border-radius: 4px; padding: 1rem; }
+.deep-diff-report-pre { white-space: pre-wrap; }
+.deep-diff-report-document [title] { cursor: help; }
+.deep-diff-report-hottest q { font-style: italic; }
+`;
+
+// ANSI escape sequences for renderAnsi
+const ANSI_RESET = '\x1b[0m';
+const ANSI_DELETED = '\x1b[9;31m'; // Struck-through red
+const ANSI_GREENS = [22, 28, 34, 40, 46]; // 256-colour palette, dark to bright green
+const ANSI_CUBE = [0, 95, 135, 175, 215, 255]; // Channel levels of the 256-colour cube
+
+// Decay curves for getMarkerWeights(), keyed by type; `param` names the
+// option that scales each curve
+const DECAY_CURVES = {
+  linear: { param: 'window', weight: (age, window) => Math.max(1 - age / window, 0) },
+  exponential: { param: 'rate', weight: (age, rate) => Math.exp(-rate * age) },
+  'half-life': { param: 'halfLife', weight: (age, halfLife) => 0.5 ** (age / halfLife) }
+};
+
+// How long computeDeepDiffAsync may run before yielding to the event loop (ms)
+const YIELD_INTERVAL = 16;
+
+// Default curve parameters when decaying by revision count or by time (ms)
+const DAY = 24 * 60 * 60 * 1000;
+const DECAY_DEFAULTS = {
+  revision: { window: 50, rate: 0.1, halfLife: 10 },
+  time: { window: 365 * DAY, rate: Math.LN2 / (30 * DAY), halfLife: 30 * DAY }
+};
 
 /**
  * A marker representing a changed region across revisions.
@@ -19,10 +118,14 @@ const DIFF_EQUAL = 0;
  * shift, expand, or contract to track "the same" logical region.
  */
 class Marker {
-  constructor(start, end) {
+  constructor(start, end, revision = null, kind = 'insert', id = null) {
+    this.id = id;               // Creation order within a computation
     this.start = start;
     this.end = end;
     this.enabled = true;
+    this.kind = kind;           // 'insert', or 'move' for relocated text
+    this.revision = revision;   // Revision that created this marker
+    this.modifiedBy = [];       // Later revisions that expanded or contracted it
   }
 
   get length() {
@@ -34,223 +137,3118 @@ class Marker {
     this.end += delta;
   }
 
-  expand(delta) {
+  expand(delta, revision) {
     this.end += delta;
+    this.touch(revision);
   }
 
-  contract(delta) {
+  contract(delta, revision) {
     this.end -= delta;
+    this.touch(revision);
     if (this.length <= 0) {
       this.enabled = false; // Marker has been subsumed by deletion
     }
   }
+
+  clone() {
+    const copy = new Marker(this.start, this.end, this.revision, this.kind, this.id);
+    copy.enabled = this.enabled;
+    copy.modifiedBy = [...this.modifiedBy];
+    return copy;
+  }
+
+  /**
+   * Record that a later revision reshaped this marker.
+   */
+  touch(revision) {
+    if (!revision || revision === this.revision) return;
+    if (!this.modifiedBy.includes(revision)) {
+      this.modifiedBy.push(revision);
+    }
+  }
+}
+
+/**
+ * A zero-width record of deleted text, anchored at the offset in the
+ * current text where the deletion happened. Tombstones follow the same
+ * shifting rules as markers but never grow or shrink.
+ */
+class Tombstone {
+  constructor(position, text, revision = null) {
+    this.position = position;   // Deleted text sat just before this offset
+    this.text = text;           // The deleted content
+    this.revision = revision;   // Revision that deleted it
+  }
+
+  shift(delta) {
+    this.position += delta;
+  }
+
+  clone() {
+    return new Tombstone(this.position, this.text, this.revision);
+  }
+}
+
+/**
+ * Split a revision into its text and the metadata carried by markers.
+ * Revisions may be plain strings or objects like
+ * `{ text, author, timestamp, id }`; any extra fields are kept as-is.
+ *
+ * @param {string|Object} revision - Revision text or revision object
+ * @param {number} index - Position in the original revisions array
+ * @returns {{ text: string, info: Object }}
+ */
+function normalizeRevision(revision, index) {
+  if (typeof revision === 'string') {
+    return { text: revision, info: { index } };
+  }
+  const { text, ...meta } = revision;
+  return { text, info: { ...meta, index } };
 }
 
 /**
  * Compute cumulative diff markers across a sequence of text revisions.
  * 
- * @param {string[]} revisions - Array of text versions, oldest first
+ * @param {Array<string|Object>} revisions - Text versions (or revision
+ *   objects with a `text` field and metadata), oldest first
  * @param {Object} options - Configuration options
  * @param {boolean} options.skipEmpty - Skip empty revisions (vandalism filtering)
  * @param {number} options.timeout - Diff computation timeout in seconds
- * @returns {{ text: string, markers: Marker[] }}
+ * @param {boolean} options.trackDeletions - Record deleted text as tombstones
+ * @param {boolean} options.detectMoves - Treat text cut from one place and
+ *   pasted elsewhere as a move rather than a delete plus an insert
+ * @param {number} options.minMoveLength - Shortest block considered a move
+ * @param {string} options.granularity - Diff unit: 'char', 'word', 'line'
+ *   or 'sentence' (default: 'char')
+ * @param {string} options.format - 'text', 'markdown' or 'html'. For markup
+ *   formats only the text content is diffed, marker offsets index the text
+ *   content, and the result carries the markup `source` (default: 'text')
+ * @param {Object|Function} options.engine - Diff engine: a function
+ *   `(before, after, revision)` returning `[op, text]` tuples, or an object
+ *   with such a `diff` method (default: createDiffMatchPatchEngine())
+ * @param {number} options.editCost - Default engine: cost of an edit
+ *   operation for the efficiency cleanup (default: 4)
+ * @param {string[]|false} options.cleanup - Default engine: cleanup passes
+ *   to run, in order (default: ['semantic', 'efficiency'])
+ * @param {boolean} options.events - Also return `events`, a log of how
+ *   each revision created, shifted, expanded, contracted, moved, subsumed
+ *   or merged markers, with the diff op behind each change (default: false)
+ * @param {string} options.whitespace - 'trim' ignores whitespace edits at
+ *   either end of each revision; 'preserve' counts every change; 'normalize'
+ *   converts line endings to \n and otherwise preserves; 'ignore' makes no
+ *   markers or tombstones for whitespace-only changes. Offsets always index
+ *   the final revision as given (default: 'trim')
+ * @param {Object|Function} options.coalesce - Merge touching markers after
+ *   each revision; see coalesceMarkers for the policy (default: none)
+ * @param {string} options.offsets - Unit for marker and tombstone offsets:
+ *   'utf16' (JavaScript string indices), 'codepoint' or 'grapheme'. Diffs
+ *   never split a code point, nor a grapheme cluster when counting those;
+ *   event log ranges stay in UTF-16 units (default: 'utf16')
+ * @returns {{ text: string, source?: string, markers: Marker[], tombstones: Tombstone[],
+ *   events?: Object[] }}
  */
 export function computeDeepDiff(revisions, options = {}) {
-  const { skipEmpty = true, timeout = 1 } = options;
+  const session = new DeepDiffSession(options);
+  for (const revision of revisions) {
+    session.push(revision);
+  }
+  return session.snapshot();
+}
 
-  const dmp = new DiffMatchPatch();
-  dmp.Diff_Timeout = timeout;
-  dmp.Diff_EditCost = 4;
+/**
+ * Asynchronous computeDeepDiff that keeps the thread responsive: it
+ * yields to the event loop between revisions whenever it has run for a
+ * frame's worth of time, reports progress after each revision, and can
+ * be cancelled. For a thread of its own, see computeDeepDiffInWorker.
+ *
+ * @param {Array<string|Object>} revisions - Revisions, oldest first
+ * @param {Object} options - computeDeepDiff options, plus:
+ * @param {Function} options.onProgress - Called after each revision with
+ *   `{ completed, total }`, counting revisions
+ * @param {AbortSignal} options.signal - Cancels the computation; the
+ *   promise then rejects with the signal's reason
+ * @returns {Promise<Object>} Resolves to the computeDeepDiff result
+ */
+export async function computeDeepDiffAsync(revisions, options = {}) {
+  const { onProgress, signal, ...computeOptions } = options;
+  signal?.throwIfAborted();
 
-  // Filter revisions
-  const texts = revisions
-    .map(r => r.trim())
-    .filter(r => !skipEmpty || r.length > 0);
+  const session = new DeepDiffSession(computeOptions);
+  const total = revisions.length;
+  let lastYield = Date.now();
 
-  if (texts.length < 2) {
-    return { text: texts[0] || '', markers: [] };
+  for (let i = 0; i < total; i++) {
+    if (Date.now() - lastYield >= YIELD_INTERVAL) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      lastYield = Date.now();
+    }
+    signal?.throwIfAborted();
+    session.push(revisions[i]);
+    onProgress?.({ completed: i + 1, total });
   }
 
-  const markers = [];
+  return session.snapshot();
+}
 
-  // Process each revision pair
-  for (let i = 1; i < texts.length; i++) {
-    const diffs = dmp.diff_main(texts[i - 1], texts[i]);
-    dmp.diff_cleanupSemantic(diffs);
-    dmp.diff_cleanupEfficiency(diffs);
+let workerRequests = 0;
 
-    // Transform existing markers through this diff
-    transformMarkers(markers, diffs);
+/**
+ * Compute a deep diff on a worker running the package's worker entry
+ * (`@rossshannon/deep-diffs/worker`), leaving the calling thread free.
+ * The result has live Marker and Tombstone instances, as from
+ * computeDeepDiff. Options must survive structured cloning, so a custom
+ * `engine` or predicate functions can't be used; `onProgress` and
+ * `signal` stay on this side and work as for computeDeepDiffAsync.
+ * One worker can run several computations at once.
+ *
+ * @param {Worker} worker - Worker running the worker entry
+ * @param {Array<string|Object>} revisions - Revisions, oldest first
+ * @param {Object} options - As for computeDeepDiffAsync
+ * @returns {Promise<Object>} Resolves to the computeDeepDiff result
+ */
+export function computeDeepDiffInWorker(worker, revisions, options = {}) {
+  const { onProgress, signal, ...computeOptions } = options;
+  const id = ++workerRequests;
 
-    // Add new markers for insertions in this revision
-    addInsertionMarkers(markers, diffs);
-  }
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
 
-  return {
-    text: texts[texts.length - 1],
-    markers: markers.filter(m => m.enabled)
-  };
+    const finish = () => {
+      worker.removeEventListener('message', onMessage);
+      worker.removeEventListener('error', onError);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onMessage = ({ data: message }) => {
+      if (message?.id !== id) return;
+      if (message.type === 'progress') {
+        onProgress?.({ completed: message.completed, total: message.total });
+        return;
+      }
+      finish();
+      if (message.type === 'result') {
+        const { text, source, markers, tombstones } = deserializeDeepDiff(message.data);
+        resolve({
+          text,
+          ...(source != null && { source }),
+          markers,
+          tombstones,
+          ...(message.events && { events: message.events })
+        });
+      } else {
+        reject(Object.assign(new Error(message.message), { name: message.name }));
+      }
+    };
+    const onError = event => {
+      finish();
+      reject(event.error ?? new Error(event.message ?? 'Deep diff worker failed'));
+    };
+    const onAbort = () => {
+      finish();
+      worker.postMessage({ type: 'abort', id });
+      reject(signal.reason);
+    };
+
+    worker.addEventListener('message', onMessage);
+    worker.addEventListener('error', onError);
+    signal?.addEventListener('abort', onAbort);
+    try {
+      worker.postMessage({ type: 'compute', id, revisions, options: computeOptions });
+    } catch (error) {
+      finish();
+      reject(error);
+    }
+  });
 }
 
 /**
- * Transform existing markers based on a diff operation set.
- * Markers shift, expand, or contract as text is inserted/deleted.
+ * Compute cumulative diff markers from an initial text and a sequence
+ * of edits given as operation lists (as stored by collaborative
+ * editors), without rebuilding and re-diffing full texts. See
+ * DeepDiffSession#apply for the accepted operation formats.
+ *
+ * The initial text is revision 0, and the edits are revisions 1 to n.
+ *
+ * @param {string} initialText - Text the first operations apply to
+ * @param {Array<Array|Object>} changes - Operation lists, or objects with
+ *   an `ops` list and revision metadata (`{ ops, author, timestamp, id }`)
+ * @param {Object} options - Same options as computeDeepDiff, except that
+ *   `skipEmpty`, `granularity`, `engine` and `format` don't apply
+ * @returns {{ text: string, markers: Marker[], tombstones: Tombstone[], events?: Object[] }}
  */
-function transformMarkers(markers, diffs) {
-  // Sort by start position for consistent processing
-  markers.sort((a, b) => a.start - b.start);
+export function computeDeepDiffFromOperations(initialText, changes, options = {}) {
+  const session = new DeepDiffSession(options);
+  session.apply([initialText]);
+  for (const change of changes) {
+    const { ops, ...meta } = Array.isArray(change) ? { ops: change } : change;
+    session.apply(ops, meta);
+  }
+  return session.snapshot();
+}
 
-  for (const marker of markers) {
-    if (!marker.enabled) continue;
+/**
+ * Incremental deep diff: revisions are pushed one at a time and only
+ * the newest diff is applied to the existing markers, so a live
+ * heatmap costs one diff per revision rather than a replay of the
+ * whole history. Takes the same options as computeDeepDiff.
+ *
+ * The `markers` and `tombstones` accessors return live objects that
+ * later pushes keep updating; `snapshot()` returns copies that stay put.
+ *
+ * With `keepHistory`, the session also records every push so `at(k)` can
+ * return the heatmap as of any earlier revision: each revision's edits,
+ * plus a copy of the markers every CHECKPOINT_INTERVAL revisions.
+ */
+export class DeepDiffSession {
+  #options;
+  #diff;
+  #rawDiff;
+  #text = null;       // Latest accepted revision text; null until the first
+  #source = null;     // Its markup source, for the markdown and html formats
+  #markers = [];
+  #tombstones = [];
+  #nextId = 0;
+  #revisionCount = 0;
+  #history = [];      // One frame per pushed revision (keepHistory only)
+  #step = null;       // Edits of the latest revision, for its frame
+  #events = [];       // Marker event log (events option only)
+  #coalesce = null;   // Merge predicate for touching markers (coalesce option only)
+  #historyStart = 0;  // Revision index of the first recorded frame
 
-    let index = 0;
+  constructor(options = {}) {
+    const {
+      skipEmpty = true,
+      timeout = 1,
+      trackDeletions = false,
+      detectMoves = false,
+      minMoveLength = 20,
+      granularity = 'char',
+      keepHistory = false,
+      format = 'text',
+      events = false,
+      engine = null,
+      editCost = 4,
+      cleanup = ['semantic', 'efficiency'],
+      coalesce = null,
+      whitespace = 'trim',
+      offsets = 'utf16'
+    } = options;
 
-    for (const [op, text] of diffs) {
-      const len = text.length;
+    if (granularity !== 'char' && !TOKEN_PATTERNS[granularity]) {
+      throw new TypeError(`Unknown granularity "${granularity}"`);
+    }
+    if (!MARKUP_FORMATS.has(format)) {
+      throw new TypeError(`Unknown format "${format}"`);
+    }
+    if (!WHITESPACE_POLICIES.has(whitespace)) {
+      throw new TypeError(`Unknown whitespace policy "${whitespace}"`);
+    }
+    checkOffsetUnit(offsets);
 
-      if (op === DIFF_INSERT) {
-        if (index <= marker.start) {
-          // Insertion before or at marker start: shift right
-          marker.shift(len);
-        } else if (index > marker.start && index <= marker.end) {
-          // Insertion within marker: expand
-          marker.expand(len);
-        }
-        index += len;
-      } else if (op === DIFF_DELETE) {
-        const delEnd = index + len - 1;  // Inclusive end of deletion
+    // The engine is kept out of the recorded options: functions don't serialize
+    this.#options = {
+      skipEmpty, timeout, trackDeletions, detectMoves, minMoveLength, granularity, keepHistory, format, events,
+      editCost, cleanup, whitespace, offsets, ...(coalesce && { coalesce })
+    };
+    this.#coalesce = coalesce ? coalescePredicate(coalesce) : null;
 
-        if (delEnd < marker.start) {
-          // Deletion entirely before marker: shift left
-          marker.shift(-len);
-        } else if (index > marker.end) {
-          // Deletion entirely after marker: no change
-        } else if (index <= marker.start && delEnd >= marker.end) {
-          // Deletion encompasses entire marker: disable it
-          marker.enabled = false;
-        } else if (index <= marker.start && delEnd < marker.end) {
-          // Deletion overlaps start of marker
-          const preOverlap = marker.start - index;  // Part before marker
-          const overlap = delEnd - marker.start + 1;  // Part inside marker
-          marker.shift(-preOverlap);
-          marker.contract(overlap);
-        } else if (index > marker.start && delEnd >= marker.end) {
-          // Deletion overlaps end of marker
-          const overlap = marker.end - index + 1;
-          marker.contract(overlap);
-        } else {
-          // Deletion entirely within marker: contract
-          marker.contract(len);
-        }
-        // Note: index doesn't advance for deletions (text removed from old)
-      } else {
-        // DIFF_EQUAL
-        index += len;
-      }
+    // Markers are kept in UTF-16 units; diffs are snapped to whole code
+    // points (or grapheme clusters) so no marker edge splits one
+    const run = engineFunction(engine ?? createDiffMatchPatchEngine({ timeout, editCost, cleanup }));
+    const checkedDiff = (before, after, revision) => checkDiff(run(before, after, revision), before, after);
+    const unit = offsets === 'grapheme' ? 'grapheme' : 'codepoint';
+    const tokenDiff = granularity === 'char' ? null : createTokenDiff(TOKEN_PATTERNS[granularity]);
+    const diff = tokenDiff
+      ? (before, after, revision) => tokenDiff(before, after, (a, b) => checkedDiff(a, b, revision))
+      : checkedDiff;
+    this.#diff = (before, after, revision) => alignDiff(diff(before, after, revision), before, after, unit);
+
+    const dmp = new DiffMatchPatch();
+    dmp.Diff_Timeout = timeout;
+    this.#rawDiff = (before, after) => alignDiff(dmp.diff_main(before, after, false), before, after, unit);
+  }
+
+  /**
+   * Apply the next revision. Its index in revision metadata is the
+   * number of revisions pushed before it, skipped ones included.
+   *
+   * @param {string|Object} revision - Revision text or revision object
+   * @returns {DeepDiffSession} The session, for chaining
+   */
+  push(revision) {
+    const accepted = this.#apply(revision);
+    if (this.#options.keepHistory) {
+      this.#record(!accepted);
     }
+    return this;
   }
-}
 
-/**
- * Add new markers for all insertions in a diff set.
- */
-function addInsertionMarkers(markers, diffs) {
-  let index = 0;
+  /**
+   * Returns false if the revision was skipped.
+   */
+  #apply(revision) {
+    const { text: rawText, info } = normalizeRevision(revision, this.#revisionCount++);
+    const { skipEmpty, format, whitespace } = this.#options;
+    const source = whitespace === 'normalize' ? rawText.replace(/\r\n?/g, '\n') : rawText;
+    const text = format === 'text' ? source : textContent(parseMarkup(source, format));
 
-  for (const [op, text] of diffs) {
-    if (op === DIFF_INSERT) {
-      markers.push(new Marker(index, index + text.length - 1));
-      index += text.length;
-    } else if (op === DIFF_EQUAL) {
-      index += text.length;
+    if (skipEmpty && text.trim().length === 0) return false;
+
+    if (format !== 'text') {
+      this.#source = source;
     }
-    // DIFF_DELETE doesn't advance index in new text
+
+    if (this.#text === null) {
+      this.#text = text;
+      return true;
+    }
+
+    this.#advance(text, this.#diffRevision(this.#text, text, info), info);
+    return true;
+  }
+
+  /**
+   * Diff two revision texts under the whitespace policy. With 'trim' only
+   * the trimmed texts are diffed; edits to the whitespace either side
+   * become silent operations, so offsets still index the full texts.
+   */
+  #diffRevision(before, after, info) {
+    const { whitespace } = this.#options;
+    if (whitespace !== 'trim') {
+      return silenceWhitespace(this.#diff(before, after, info), whitespace);
+    }
+
+    const [beforeLead, beforeBody, beforeTrail] = splitWhitespace(before);
+    const [afterLead, afterBody, afterTrail] = splitWhitespace(after);
+    const edge = (a, b) => (a === b
+      ? [[DIFF_EQUAL, a]]
+      : [[DIFF_DELETE, a, SILENT], [DIFF_INSERT, b, SILENT]]
+    ).filter(([, text]) => text);
+
+    return [
+      ...edge(beforeLead, afterLead),
+      ...this.#diff(beforeBody, afterBody, info),
+      ...edge(beforeTrail, afterTrail)
+    ];
+  }
+
+  /**
+   * Apply a revision given as a list of operations on the current text,
+   * instead of as full text. The operations are used as the diff as-is,
+   * with nothing re-diffed. Texts are not trimmed or normalized, and
+   * revisions are never skipped, so the next list always applies to
+   * `session.text`; `whitespace: 'ignore'` still applies.
+   * On a session with no text yet, the operations build the base text.
+   *
+   * Operations may be Quill-style objects (`{ retain: n }`,
+   * `{ insert: 'text' }`, `{ delete: n }`, or a Delta `{ ops }`) or
+   * ot.js-style values (a positive number retains, a string inserts, a
+   * negative number deletes). Text after the last operation is retained.
+   * Lengths count UTF-16 code units, as in Quill and ot.js, whatever the
+   * `offsets` unit.
+   *
+   * @param {Array|Object} ops - Operations on the current text
+   * @param {Object} meta - Revision metadata, as for revision objects
+   * @returns {DeepDiffSession} The session, for chaining
+   */
+  apply(ops, meta = {}) {
+    if (this.#options.format !== 'text') {
+      throw new Error('Operations can only be applied with the text format');
+    }
+
+    const diffs = silenceWhitespace(operationsToDiff(this.#text ?? '', ops), this.#options.whitespace);
+    const info = { ...meta, index: this.#revisionCount++ };
+    const text = diffs.reduce((result, [op, chunk]) => (op === DIFF_DELETE ? result : result + chunk), '');
+
+    if (this.#text === null) {
+      this.#text = text;
+    } else {
+      this.#advance(text, diffs, info);
+    }
+
+    if (this.#options.keepHistory) {
+      this.#record(false);
+    }
+    return this;
+  }
+
+  /**
+   * Move markers and tombstones through the diff to `text`.
+   */
+  #advance(text, diffs, info) {
+    const { trackDeletions, detectMoves, minMoveLength, events } = this.#options;
+    let moves = [];
+
+    if (detectMoves) {
+      ({ diffs, moves } = findMoves(diffs, this.#rawDiff, minMoveLength));
+    }
+
+    const log = events ? event => this.#events.push({ ...event, revision: info }) : undefined;
+    const state = { markers: this.#markers, tombstones: this.#tombstones, nextId: this.#nextId };
+    advanceState(state, diffs, moves, info, { trackDeletions, coalesce: this.#coalesce }, log);
+    ({ markers: this.#markers, nextId: this.#nextId } = state);
+
+    if (this.#options.keepHistory) {
+      this.#step = { ops: compactDiff(diffs), moves, info };
+    }
+    this.#text = text;
+  }
+
+  /**
+   * Record a frame for the latest revision: its text and the edits that
+   * produced it, plus a checkpoint of the marker ranges, their
+   * modifiedBy lists and tombstone positions every CHECKPOINT_INTERVAL
+   * frames. Tombstones are never
+   * removed, so a checkpoint's tombstones are a prefix of the session's.
+   *
+   * @param {boolean} skipped - Whether the revision was skipped
+   */
+  #record(skipped) {
+    const position = this.#history.length;
+    const frame = {
+      index: this.#revisionCount - 1,
+      text: this.text,
+      source: this.#source,
+      // Skipped revisions and the base text change nothing to replay
+      step: skipped ? null : this.#step
+    };
+    this.#step = null;
+
+    if (position % CHECKPOINT_INTERVAL === 0) {
+      frame.checkpoint = {
+        markers: [...this.#markers],
+        starts: Int32Array.from(this.#markers, m => m.start),
+        ends: Int32Array.from(this.#markers, m => m.end),
+        // Copied, since merges later add older revisions and re-sort
+        modifiedBy: this.#markers.map(m => [...m.modifiedBy]),
+        tombstones: Int32Array.from(this.#tombstones, t => t.position),
+        nextId: this.#nextId
+      };
+    }
+    this.#history.push(frame);
+  }
+
+  /**
+   * State as of revision `k` (its index among pushed revisions, skipped
+   * ones included; negative values count back from the latest). Needs
+   * `keepHistory`; revisions pushed before the session was restored
+   * from JSON are not available.
+   *
+   * @param {number} k - Revision index
+   * @returns {{ text: string, source?: string, markers: Marker[], tombstones: Tombstone[] }|undefined}
+   */
+  at(k) {
+    if (!this.#options.keepHistory) {
+      throw new Error('DeepDiffSession#at() requires the keepHistory option');
+    }
+
+    const index = k < 0 ? this.#revisionCount + k : k;
+    const position = index - this.#historyStart;
+    const frame = this.#history[position];
+    if (!frame) return undefined;
+
+    // Start from the nearest checkpoint and replay the edits since
+    const base = position - (position % CHECKPOINT_INTERVAL);
+    const { checkpoint } = this.#history[base];
+    const state = {
+      markers: checkpoint.markers.map((live, i) => {
+        const marker = live.clone();
+        marker.start = checkpoint.starts[i];
+        marker.end = checkpoint.ends[i];
+        marker.enabled = true;
+        marker.modifiedBy = [...checkpoint.modifiedBy[i]];
+        return marker;
+      }),
+      tombstones: Array.from(checkpoint.tombstones, (position, i) => {
+        const tombstone = this.#tombstones[i].clone();
+        tombstone.position = position;
+        return tombstone;
+      }),
+      nextId: checkpoint.nextId
+    };
+
+    const { trackDeletions } = this.#options;
+    for (let i = base + 1; i <= position; i++) {
+      const { step, text } = this.#history[i];
+      if (!step) continue;
+      const diffs = expandDiff(step.ops, this.#history[i - 1].text, text);
+      advanceState(state, diffs, step.moves, step.info, { trackDeletions, coalesce: this.#coalesce });
+    }
+
+    return {
+      text: frame.text,
+      ...(frame.source != null && { source: frame.source }),
+      ...convertRanges(frame.text, state.markers, state.tombstones, 'utf16', this.#options.offsets)
+    };
+  }
+
+  /** Latest revision text (its text content, for markup formats) */
+  get text() {
+    return this.#text ?? '';
+  }
+
+  /** Latest revision's markup source; undefined for the text format */
+  get source() {
+    return this.#options.format === 'text' ? undefined : (this.#source ?? '');
+  }
+
+  /**
+   * Active markers (live: updated by later pushes). With `offsets` other
+   * than 'utf16', converted copies instead.
+   */
+  get markers() {
+    if (this.#options.offsets === 'utf16') return [...this.#markers];
+    return convertRanges(this.text, this.#markers, [], 'utf16', this.#options.offsets).markers;
+  }
+
+  /** Tombstones (live, or converted copies, as for markers) */
+  get tombstones() {
+    if (this.#options.offsets === 'utf16') return [...this.#tombstones];
+    return convertRanges(this.text, [], this.#tombstones, 'utf16', this.#options.offsets).tombstones;
+  }
+
+  /**
+   * Marker events so far, oldest first (needs the `events` option).
+   * Not serialized: a session restored from JSON starts a new log.
+   */
+  get events() {
+    return [...this.#events];
+  }
+
+  /** Number of revisions pushed so far, including skipped ones */
+  get revisionCount() {
+    return this.#revisionCount;
+  }
+
+  /**
+   * Copy of the current state, unaffected by later pushes.
+   *
+   * @returns {{ text: string, source?: string, markers: Marker[], tombstones: Tombstone[],
+   *   events?: Object[] }}
+   */
+  snapshot() {
+    return {
+      text: this.text,
+      ...(this.source != null && { source: this.source }),
+      ...convertRanges(this.text, this.#markers, this.#tombstones, 'utf16', this.#options.offsets),
+      ...(this.#options.events && { events: this.events })
+    };
+  }
+
+  /**
+   * Serializable form of the session (see serializeDeepDiff), so
+   * `JSON.stringify(session)` just works. Offsets are stored in the
+   * session's `offsets` unit.
+   */
+  toJSON() {
+    return toSnapshotData(this, {
+      options: this.#options,
+      revisionCount: this.#revisionCount,
+      nextId: this.#nextId,
+      started: this.#text !== null
+    });
+  }
+
+  /**
+   * Resume a session from serialized data. Later pushes continue the
+   * revision numbering and marker ids where the saved session left off.
+   * A custom `engine` is not serialized; pass it again in `options`.
+   *
+   * @param {string|Object} data - Output of serializeDeepDiff or toJSON
+   * @param {Object} options - Options to override the saved ones
+   * @returns {DeepDiffSession}
+   */
+  static fromJSON(data, options = {}) {
+    const { text, source, markers, tombstones, options: saved, revisionCount, nextId, started } =
+      deserializeDeepDiff(data);
+    const session = new DeepDiffSession({ ...saved, ...options });
+
+    const restored = convertRanges(text, markers, tombstones, session.#options.offsets, 'utf16');
+    session.#text = started ? text : null;
+    session.#source = started ? source ?? null : null;
+    session.#markers = restored.markers;
+    session.#tombstones = restored.tombstones;
+    session.#revisionCount = revisionCount;
+    session.#historyStart = revisionCount;
+    session.#nextId = nextId;
+    return session;
   }
 }
 
 /**
- * Render text with markers as HTML with nested <ins> tags.
- * Overlapping markers create nested tags, which CSS can style
- * with increasing intensity.
- * 
- * @param {string} text - The final text
- * @param {Marker[]} markers - Active markers
- * @param {Object} options - Rendering options
- * @param {string} options.tagName - HTML tag to use (default: 'ins')
- * @param {string} options.className - CSS class for tags
- * @returns {string} HTML string
+ * Compute a deep diff that can be rewound: returns a session with
+ * `keepHistory` enabled, so `at(k)` gives the text, markers and
+ * tombstones as of any revision without diffing again.
+ *
+ * @param {Array<string|Object>} revisions - Revisions, oldest first
+ * @param {Object} options - Same options as computeDeepDiff
+ * @returns {DeepDiffSession}
  */
-export function renderWithMarkers(text, markers, options = {}) {
-  const { tagName = 'ins', className = 'deep-diff' } = options;
+export function computeDeepDiffTimeline(revisions, options = {}) {
+  const session = new DeepDiffSession({ ...options, keepHistory: true });
+  for (const revision of revisions) {
+    session.push(revision);
+  }
+  return session;
+}
 
-  // Filter to only enabled markers
-  const activeMarkers = markers.filter(m => m.enabled);
+/**
+ * Serialize a deep diff result or session to a versioned JSON string,
+ * so the history doesn't have to be replayed when a document is
+ * reopened. Revision metadata is stored once and shared by reference;
+ * Date timestamps become ISO strings.
+ *
+ * @param {Object|DeepDiffSession} source - computeDeepDiff result or session
+ * @param {Object} options - Processing options to record with a result
+ *   (sessions record their own)
+ * @returns {string} JSON string
+ */
+export function serializeDeepDiff(source, options = {}) {
+  const { engine, ...recorded } = options;  // Engines don't serialize
+  const data = source instanceof DeepDiffSession
+    ? source.toJSON()
+    : toSnapshotData(source, { options: recorded });
+  return JSON.stringify(data);
+}
 
-  if (activeMarkers.length === 0) return escapeHtml(text);
+/**
+ * Restore a serialized deep diff with live Marker and Tombstone
+ * instances. Pass the result to DeepDiffSession.fromJSON instead to
+ * keep pushing revisions.
+ *
+ * @param {string|Object} data - Output of serializeDeepDiff
+ * @returns {{ text: string, source?: string, markers: Marker[], tombstones: Tombstone[],
+ *   options: Object, revisionCount: number, nextId: number, started: boolean }}
+ */
+export function deserializeDeepDiff(data) {
+  const snapshot = typeof data === 'string' ? JSON.parse(data) : data;
 
-  // Build list of boundary events
-  const events = [];
-  for (const marker of activeMarkers) {
-    events.push({ index: marker.start, type: 'open' });
-    events.push({ index: marker.end + 1, type: 'close' });
+  if (snapshot?.format !== SNAPSHOT_FORMAT) {
+    throw new Error('Not a serialized deep diff');
+  }
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported deep diff snapshot version ${snapshot.version}`);
   }
 
-  // Sort: by index, then closes before opens at same position
-  events.sort((a, b) => {
-    if (a.index !== b.index) return a.index - b.index;
-    return a.type === 'close' ? -1 : 1;
+  const revisions = snapshot.revisions;
+  const revisionAt = i => (i === null ? null : revisions[i]);
+
+  const markers = snapshot.markers.map(m => {
+    const marker = new Marker(m.start, m.end, revisionAt(m.revision), m.kind, m.id);
+    marker.modifiedBy = m.modifiedBy.map(revisionAt);
+    return marker;
   });
+  const tombstones = snapshot.tombstones.map(t =>
+    new Tombstone(t.position, t.text, revisionAt(t.revision)));
 
-  // Build output by interleaving text and tags
-  const chars = [...text];
-  const openTag = className 
-    ? `<${tagName} class="${className}">` 
-    : `<${tagName}>`;
-  const closeTag = `</${tagName}>`;
+  const lastIndex = revisions.reduce((max, r) => Math.max(max, r.index), -1);
+  const lastId = markers.reduce((max, m) => Math.max(max, m.id ?? -1), -1);
 
-  let result = '';
+  return {
+    text: snapshot.text,
+    ...(snapshot.source != null && { source: snapshot.source }),
+    markers,
+    tombstones,
+    options: snapshot.options,
+    revisionCount: snapshot.revisionCount ?? lastIndex + 1,
+    nextId: snapshot.nextId ?? lastId + 1,
+    started: snapshot.started ?? true
+  };
+}
+
+/**
+ * Build the plain-object snapshot shared by serializeDeepDiff and
+ * DeepDiffSession#toJSON.
+ */
+function toSnapshotData({ text, source, markers, tombstones = [] }, extra) {
+  const revisions = [];
+  const revisionIds = new Map();
+  const ref = revision => {
+    if (!revision) return null;
+    if (!revisionIds.has(revision)) {
+      revisionIds.set(revision, revisions.length);
+      revisions.push(revision);
+    }
+    return revisionIds.get(revision);
+  };
+
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    ...extra,
+    text,
+    ...(source != null && { source }),
+    markers: markers.filter(m => m.enabled).map(m => ({
+      id: m.id ?? null,
+      start: m.start,
+      end: m.end,
+      kind: m.kind ?? 'insert',
+      revision: ref(m.revision),
+      modifiedBy: (m.modifiedBy ?? []).map(ref)
+    })),
+    tombstones: tombstones.map(t => ({
+      position: t.position,
+      text: t.text,
+      revision: ref(t.revision)
+    })),
+    revisions
+  };
+}
+
+/**
+ * Split a text into its leading whitespace, body and trailing whitespace.
+ */
+function splitWhitespace(text) {
+  const lead = text.length - text.trimStart().length;
+  const end = Math.max(text.trimEnd().length, lead);
+  return [text.slice(0, lead), text.slice(lead, end), text.slice(end)];
+}
+
+/**
+ * Under the 'ignore' policy, tag whitespace-only insertions and
+ * deletions as silent.
+ */
+function silenceWhitespace(diffs, whitespace) {
+  if (whitespace !== 'ignore') return diffs;
+  return diffs.map(diff => (diff[0] !== DIFF_EQUAL && !diff[2] && diff[1].trim() === ''
+    ? [diff[0], diff[1], SILENT]
+    : diff));
+}
+
+/**
+ * Turn a list of retain/insert/delete operations on `text` into diff
+ * tuples, merging consecutive operations of the same kind. Formatting
+ * attributes on Quill operations are ignored.
+ *
+ * @param {string} text - Text the operations apply to
+ * @param {Array|Object} ops - Quill-style or ot.js-style operations
+ * @returns {Array} Diff operations
+ */
+function operationsToDiff(text, ops) {
+  const list = Array.isArray(ops) ? ops : ops?.ops;
+  if (!Array.isArray(list)) {
+    throw new TypeError('Expected a list of operations');
+  }
+
+  const diffs = [];
   let pos = 0;
+  const push = (op, chunk) => {
+    if (!chunk) return;
+    const last = diffs[diffs.length - 1];
+    if (last && last[0] === op) {
+      last[1] += chunk;
+    } else {
+      diffs.push([op, chunk]);
+    }
+  };
+  const take = count => {
+    if (!Number.isInteger(count) || count < 0) {
+      throw new TypeError(`Invalid operation length ${JSON.stringify(count)}`);
+    }
+    if (pos + count > text.length) {
+      throw new Error(`Operations run past the end of the text (length ${text.length})`);
+    }
+    pos += count;
+    return text.slice(pos - count, pos);
+  };
 
-  for (const event of events) {
-    // Add text up to this event
-    if (event.index > pos) {
-      result += escapeHtml(chars.slice(pos, event.index).join(''));
-      pos = event.index;
+  for (const op of list) {
+    if (typeof op === 'string') {
+      push(DIFF_INSERT, op);
+    } else if (typeof op === 'number') {
+      push(op < 0 ? DIFF_DELETE : DIFF_EQUAL, take(Math.abs(op)));
+    } else if (typeof op?.insert === 'string') {
+      push(DIFF_INSERT, op.insert);
+    } else if (op?.retain !== undefined) {
+      push(DIFF_EQUAL, take(op.retain));
+    } else if (op?.delete !== undefined) {
+      push(DIFF_DELETE, take(op.delete));
+    } else {
+      throw new TypeError(`Unknown operation ${JSON.stringify(op)}`);
     }
-    // Add tag
-    result += event.type === 'open' ? openTag : closeTag;
   }
+  push(DIFF_EQUAL, text.slice(pos));
 
-  // Add remaining text
-  if (pos < chars.length) {
-    result += escapeHtml(chars.slice(pos).join(''));
+  return diffs;
+}
+
+/**
+ * Create the default diff engine: diff-match-patch with configurable
+ * cleanup passes. Engines are objects whose `diff(before, after, revision)`
+ * returns `[op, text]` tuples, where op is DIFF_DELETE, DIFF_EQUAL or
+ * DIFF_INSERT; the deleted and equal texts must join up to `before` and
+ * the equal and inserted texts to `after`.
+ *
+ * @param {Object} options - Engine options
+ * @param {number} options.timeout - Diff computation timeout in seconds (default: 1)
+ * @param {number} options.editCost - Cost of an edit operation for the
+ *   efficiency cleanup (default: 4)
+ * @param {string[]|false} options.cleanup - Passes to run, in order:
+ *   'semantic', 'semanticLossless', 'efficiency' or 'merge'
+ *   (default: ['semantic', 'efficiency'])
+ * @returns {{ diff: Function }} Diff engine
+ */
+export function createDiffMatchPatchEngine(options = {}) {
+  const { timeout = 1, editCost = 4, cleanup = ['semantic', 'efficiency'] } = options;
+
+  const passes = cleanup || [];
+  for (const pass of passes) {
+    if (!CLEANUP_PASSES[pass]) {
+      throw new TypeError(`Unknown cleanup pass "${pass}"`);
+    }
   }
 
-  return result;
+  const dmp = new DiffMatchPatch();
+  dmp.Diff_Timeout = timeout;
+  dmp.Diff_EditCost = editCost;
+
+  return {
+    diff(before, after) {
+      const diffs = dmp.diff_main(before, after);
+      for (const pass of passes) {
+        dmp[CLEANUP_PASSES[pass]](diffs);
+      }
+      return diffs;
+    }
+  };
 }
 
 /**
- * Convenience function: compute deep diff and render as HTML.
+ * Diff function of an engine given as a function or `{ diff }` object.
  */
-export function deepDiffHtml(revisions, options = {}) {
-  const { text, markers } = computeDeepDiff(revisions, options);
-  return renderWithMarkers(text, markers, options);
+function engineFunction(engine) {
+  if (typeof engine === 'function') return engine;
+  if (typeof engine?.diff === 'function') return engine.diff.bind(engine);
+  throw new TypeError('A diff engine must be a function or an object with a diff method');
 }
 
 /**
- * Get CSS for styling nested markers with increasing intensity.
+ * Check an engine's output against the texts it was given, returning it
+ * as plain `[op, text]` tuples without empty operations.
  */
-export function getDefaultStyles(maxDepth = 5) {
-  const baseColor = [144, 238, 144]; // Light green
-  let css = `.deep-diff { background-color: rgba(${baseColor.join(',')}, 0.3); }\n`;
+function checkDiff(diffs, before, after) {
+  if (!Array.isArray(diffs)) {
+    throw new Error('Diff engine did not return an array of [op, text] tuples');
+  }
 
-  for (let i = 2; i <= maxDepth; i++) {
-    const intensity = Math.min(0.3 + (i - 1) * 0.15, 0.9);
-    css += `.deep-diff `.repeat(i).trim() + 
-           ` { background-color: rgba(${baseColor.join(',')}, ${intensity}); }\n`;
+  const result = [];
+  let oldText = '';
+  let newText = '';
+  for (const entry of diffs) {
+    const op = entry?.[0];
+    const text = entry?.[1];
+    if ((op !== DIFF_DELETE && op !== DIFF_EQUAL && op !== DIFF_INSERT) || typeof text !== 'string') {
+      throw new Error(`Diff engine returned an invalid operation: ${JSON.stringify(entry)}`);
+    }
+    if (op !== DIFF_INSERT) oldText += text;
+    if (op !== DIFF_DELETE) newText += text;
+    if (text) result.push([op, text]);
   }
 
-  return css;
+  if (oldText !== before || newText !== after) {
+    throw new Error('Diff engine output does not reproduce the texts it was given');
+  }
+  return result;
+}
+
+/**
+ * Check an `offsets` option.
+ */
+function checkOffsetUnit(unit) {
+  if (!OFFSET_UNITS.has(unit)) {
+    throw new TypeError(`Unknown offset unit "${unit}"`);
+  }
+}
+
+/**
+ * Snap a diff to unit boundaries: each equal operation shrinks to the
+ * longest stretch that starts and ends on a boundary in both texts, and
+ * what it gives up joins the edits either side. Code points are never
+ * split, even when counting in UTF-16 units. Returns `diffs` itself when
+ * it is already aligned.
+ *
+ * @param {Array} diffs - Untagged diff operations from `before` to `after`
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @param {string} unit - 'codepoint' or 'grapheme'
+ * @returns {Array} Aligned diff operations
+ */
+function alignDiff(diffs, before, after, unit) {
+  const oldBoundary = boundaryTest(before, unit);
+  const newBoundary = boundaryTest(after, unit);
+  const result = [];
+  let aligned = true;
+  let oldPos = 0;
+  let newPos = 0;
+  let deleted = '';
+  let inserted = '';
+
+  const flush = () => {
+    if (deleted) result.push([DIFF_DELETE, deleted]);
+    if (inserted) result.push([DIFF_INSERT, inserted]);
+    deleted = inserted = '';
+  };
+
+  for (const [op, text] of diffs) {
+    if (op === DIFF_DELETE) {
+      deleted += text;
+      oldPos += text.length;
+      continue;
+    }
+    if (op === DIFF_INSERT) {
+      inserted += text;
+      newPos += text.length;
+      continue;
+    }
+
+    const fits = i => oldBoundary(oldPos + i) && newBoundary(newPos + i);
+    let start = 0;
+    let end = text.length;
+    while (start < end && !fits(start)) start++;
+    while (end > start && !fits(end)) end--;
+    if (start > 0 || end < text.length) aligned = false;
+
+    deleted += text.slice(0, start);
+    inserted += text.slice(0, start);
+    if (start < end) {
+      flush();
+      result.push([DIFF_EQUAL, text.slice(start, end)]);
+    }
+    deleted += text.slice(end);
+    inserted += text.slice(end);
+    oldPos += text.length;
+    newPos += text.length;
+  }
+  flush();
+
+  return aligned ? diffs : result;
+}
+
+/**
+ * Predicate telling whether a UTF-16 index of `text` falls on a code
+ * point or grapheme cluster boundary.
+ */
+function boundaryTest(text, unit) {
+  if (unit === 'grapheme') {
+    const boundaries = new Uint8Array(text.length + 1);
+    for (const start of unitStarts(text, unit)) boundaries[start] = 1;
+    return i => boundaries[i] === 1;
+  }
+  return i => !(isLowSurrogate(text.charCodeAt(i)) && isHighSurrogate(text.charCodeAt(i - 1)));
+}
+
+function isHighSurrogate(code) {
+  return code >= 0xd800 && code <= 0xdbff;
+}
+
+function isLowSurrogate(code) {
+  return code >= 0xdc00 && code <= 0xdfff;
+}
+
+let graphemeSegmenter;
+
+/**
+ * UTF-16 index at which each unit of `text` starts, followed by the
+ * text's length, so unit i spans `[starts[i], starts[i + 1])`.
+ */
+function unitStarts(text, unit) {
+  const starts = [];
+  if (unit === 'grapheme') {
+    graphemeSegmenter ??= new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+    for (const { index } of graphemeSegmenter.segment(text)) starts.push(index);
+  } else if (unit === 'codepoint') {
+    for (let i = 0; i < text.length; i++) {
+      starts.push(i);
+      if (isHighSurrogate(text.charCodeAt(i)) && isLowSurrogate(text.charCodeAt(i + 1))) i++;
+    }
+  } else {
+    for (let i = 0; i < text.length; i++) starts.push(i);
+  }
+  starts.push(text.length);
+  return starts;
+}
+
+/**
+ * Converter from one offset unit to another for a given text. Offsets
+ * inside a unit map to the unit containing them.
+ */
+function offsetConverter(text, from, to) {
+  if (from === to) return offset => offset;
+  const fromStarts = from === 'utf16' ? null : unitStarts(text, from);
+  const toStarts = to === 'utf16' ? null : unitStarts(text, to);
+
+  return offset => {
+    const index = fromStarts ? fromStarts[offset] : offset;
+    return toStarts ? lastAtOrBefore(toStarts, index) : index;
+  };
+}
+
+/**
+ * Index of the last entry of an ascending array that is at most `value`
+ * (0 if none is).
+ */
+function lastAtOrBefore(sorted, value) {
+  let low = 0;
+  let high = sorted.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (sorted[mid] <= value) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+/**
+ * UTF-16 index at which each line of `text` starts. Lines end at `\n`,
+ * `\r\n` or `\r`, and the terminator belongs to the line it ends.
+ */
+function lineStarts(text) {
+  const starts = [0];
+  for (const match of text.matchAll(/\r\n?|\n/g)) {
+    starts.push(match.index + match[0].length);
+  }
+  return starts;
+}
+
+/**
+ * Locator of UTF-16 indices as one-based `{ line, column }` positions,
+ * with columns counted in `unit`.
+ */
+function lineLocator(text, unit) {
+  const starts = lineStarts(text);
+  return index => {
+    const line = lastAtOrBefore(starts, index);
+    const column = unit === 'utf16'
+      ? index - starts[line]
+      : unitLength(text.slice(starts[line], index), unit);
+    return { line: line + 1, column: column + 1 };
+  };
+}
+
+/**
+ * Copies of markers and tombstones with their offsets converted between
+ * units. Inclusive marker ends map to the unit holding the last
+ * character. Plain objects are copied as plain objects.
+ */
+function convertRanges(text, markers, tombstones, from, to) {
+  const toUtf16 = offsetConverter(text, from, 'utf16');
+  const fromUtf16 = offsetConverter(text, 'utf16', to);
+  const convert = offset => fromUtf16(toUtf16(offset));
+  const convertEnd = end => fromUtf16(toUtf16(end + 1) - 1);
+  return {
+    markers: markers.map(marker => {
+      const copy = marker.clone?.() ?? { ...marker };
+      if (from !== to) {
+        copy.start = convert(marker.start);
+        copy.end = convertEnd(marker.end);
+      }
+      return copy;
+    }),
+    tombstones: tombstones.map(tombstone => {
+      const copy = tombstone.clone?.() ?? { ...tombstone };
+      copy.position = convert(tombstone.position);
+      return copy;
+    })
+  };
+}
+
+/**
+ * Number of units in `text`.
+ */
+function unitLength(text, unit) {
+  return unit === 'utf16' ? text.length : unitStarts(text, unit).length - 1;
+}
+
+/**
+ * Convert an offset into `text` between units: 'utf16' (JavaScript
+ * string indices, as used by diff-match-patch), 'codepoint' or
+ * 'grapheme' (user-perceived characters). An offset inside a code point
+ * or cluster maps to the one containing it.
+ *
+ * @param {string} text - The text the offset indexes
+ * @param {number} offset - Offset in `from` units, from 0 to the text's length
+ * @param {string} from - Unit of `offset`
+ * @param {string} to - Unit to convert to
+ * @returns {number} Offset in `to` units
+ */
+export function convertOffset(text, offset, from, to) {
+  checkOffsetUnit(from);
+  checkOffsetUnit(to);
+  checkOffset(text, offset, from);
+  return offsetConverter(text, from, to)(offset);
+}
+
+/**
+ * Byte offset in the UTF-8 encoding of `text` of an offset into it.
+ * Lone surrogates count as the three bytes of their replacement character.
+ *
+ * @param {string} text - The text the offset indexes
+ * @param {number} offset - Offset, from 0 to the text's length
+ * @param {string} unit - Unit of `offset` (default: 'utf16')
+ * @returns {number} UTF-8 byte offset
+ */
+export function offsetToByte(text, offset, unit = 'utf16') {
+  const end = convertOffset(text, offset, unit, 'utf16');
+  let bytes = 0;
+  for (let i = 0; i < end; i++) {
+    const code = text.charCodeAt(i);
+    if (code < 0x80) {
+      bytes += 1;
+    } else if (code < 0x800) {
+      bytes += 2;
+    } else if (isHighSurrogate(code) && isLowSurrogate(text.charCodeAt(i + 1))) {
+      bytes += 4;
+      i++;
+    } else {
+      bytes += 3;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * One-based line and column of an offset into `text`. Lines end at
+ * `\n`, `\r\n` or `\r`; columns count in the offset's unit.
+ *
+ * @param {string} text - The text the offset indexes
+ * @param {number} offset - Offset, from 0 to the text's length
+ * @param {string} unit - Unit of `offset` and of the column (default: 'utf16')
+ * @returns {{ line: number, column: number }}
+ */
+export function offsetToLineColumn(text, offset, unit = 'utf16') {
+  return lineLocator(text, unit)(convertOffset(text, offset, unit, 'utf16'));
+}
+
+/**
+ * Check that an offset lies within `text`, counted in `unit`.
+ */
+function checkOffset(text, offset, unit) {
+  const length = unitLength(text, unit);
+  if (!Number.isInteger(offset) || offset < 0 || offset > length) {
+    throw new RangeError(`Offset ${offset} is outside the text (length ${length})`);
+  }
+}
+
+/**
+ * Create a function that diffs two texts token by token, using the
+ * diff-match-patch lines-to-chars technique: each distinct token is
+ * mapped to a single character, the encoded strings are diffed, and the
+ * result is decoded back to text. Operation boundaries therefore always
+ * fall between tokens.
+ *
+ * Revisions are diffed in a chain, so the tokens of each new text are
+ * kept for the next call. When the next old text matches, only the
+ * stretch between the shared prefix and suffix is tokenized. Codes are
+ * renumbered in order of appearance before diffing, so the engine sees
+ * exactly what it would for the two texts alone.
+ *
+ * @param {RegExp} pattern - Global pattern matching every token
+ * @returns {Function} Takes the old text, the new text and the character
+ *   diff to run on the encoded texts; returns diff operations on the
+ *   original texts
+ */
+function createTokenDiff(pattern) {
+  let tokens = [];
+  let codes = new Map();
+  let cache = null;  // Tokens of the last new text: { text, list, ends }, as Int32Arrays
+
+  const codeOf = token => {
+    let code = codes.get(token);
+    if (code === undefined) {
+      code = tokens.length;
+      tokens.push(token);
+      codes.set(token, code);
+    }
+    return code;
+  };
+
+  // Tokenize a whole text: list[i] is the code of token i, ends[i] where it ends
+  const tokenize = (text, maxTokens) => {
+    const list = [];
+    const ends = [];
+    let folded = false;
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text))) {
+      // Out of codes: fold the rest of the text into one last token
+      let token = match[0];
+      if (tokens.length === maxTokens && !codes.has(token)) {
+        token = text.slice(match.index);
+        folded = true;
+      }
+      list.push(codeOf(token));
+      ends.push(match.index + token.length);
+      if (folded) break;
+    }
+    return { list: Int32Array.from(list), ends: Int32Array.from(ends), folded };
+  };
+
+  // Tokenize the new text by reusing the old text's tokens outside the
+  // edited stretch, or return null if it runs out of codes
+  const retokenize = (before, after, { list, ends }) => {
+    const dmp = new DiffMatchPatch();
+    const prefix = dmp.diff_commonPrefix(before, after);
+    const suffix = dmp.diff_commonSuffix(before, after);
+
+    // Tokens ending inside the shared prefix are shared; the one ending
+    // at its edge may continue differently in the new text
+    const head = firstAfter(ends, prefix - 1);
+    let tail = head;
+    let oldEnd = head ? ends[head - 1] : 0;
+    let newEnd = oldEnd;
+
+    // Step through whichever text is further from its end until both
+    // sit on a token boundary inside the shared suffix
+    const newList = [];
+    const newEnds = [];
+    for (;;) {
+      const oldRest = before.length - oldEnd;
+      const newRest = after.length - newEnd;
+      if (oldRest === newRest && oldRest <= suffix) break;
+      if (oldRest >= newRest) {
+        oldEnd = ends[tail++] ?? before.length;
+      } else {
+        pattern.lastIndex = newEnd;
+        const match = pattern.exec(after);
+        if (!match) {
+          newEnd = after.length;
+          continue;
+        }
+        if (tokens.length === 65535 && !codes.has(match[0])) return null;
+        newList.push(codeOf(match[0]));
+        newEnd = pattern.lastIndex;
+        newEnds.push(newEnd);
+      }
+    }
+
+    const splice = (old, added) => {
+      const result = new Int32Array(head + added.length + old.length - tail);
+      result.set(old.subarray(0, head));
+      result.set(added, head);
+      result.set(old.subarray(tail), head + added.length);
+      return result;
+    };
+    const nextEnds = splice(ends, newEnds);
+    const shift = after.length - before.length;
+    for (let i = head + newEnds.length; i < nextEnds.length; i++) {
+      nextEnds[i] += shift;
+    }
+    return { list: splice(list, newList), ends: nextEnds, folded: false };
+  };
+
+  return (before, after, diff) => {
+    let old = cache?.text === before && tokens.length < 40000 ? cache : null;
+    let next = old && retokenize(before, after, old);
+    if (!next) {
+      tokens = [];
+      codes = new Map();
+      // Same split as diff_linesToChars_: leave room for the second text
+      old = tokenize(before, 40000);
+      next = tokenize(after, 65535);
+    }
+    cache = next.folded ? null : { text: after, ...next };
+
+    // Renumber the codes in order of appearance
+    const renumbered = new Uint16Array(tokens.length);  // Plus one; 0 if not seen yet
+    let count = 0;
+    const encode = list => {
+      const chars = new Uint16Array(list.length);
+      for (let i = 0; i < list.length; i++) {
+        const code = list[i];
+        if (renumbered[code] === 0) renumbered[code] = ++count;
+        chars[i] = renumbered[code] - 1;
+      }
+      return chars;
+    };
+    const oldChars = encode(old.list);
+    const newChars = encode(next.list);
+    const encodedBefore = fromCharCodes(oldChars, count);
+    const encodedAfter = fromCharCodes(newChars, count);
+
+    // Decode by slicing the texts at token ends
+    const offset = (ends, n) => (n ? ends[n - 1] : 0);
+    let oldCount = 0;
+    let newCount = 0;
+    return diff(encodedBefore, encodedAfter).map(([op, chars]) => {
+      if (op === DIFF_INSERT) {
+        const from = offset(next.ends, newCount);
+        newCount += chars.length;
+        return [op, after.slice(from, offset(next.ends, newCount))];
+      }
+      const from = offset(old.ends, oldCount);
+      oldCount += chars.length;
+      if (op === DIFF_EQUAL) newCount += chars.length;
+      return [op, before.slice(from, offset(old.ends, oldCount))];
+    });
+  };
+}
+
+let utf16Decoder;
+
+/**
+ * String of the given character codes, all below `limit`. Decoded
+ * natively unless they reach the surrogate range, which the decoder
+ * would replace; otherwise built in chunks to stay within argument
+ * count limits.
+ */
+function fromCharCodes(codes, limit) {
+  if (limit <= 0xd800) {
+    utf16Decoder ??= new TextDecoder('utf-16le');
+    return utf16Decoder.decode(codes);
+  }
+
+  let result = '';
+  for (let i = 0; i < codes.length; i += 8192) {
+    result += String.fromCharCode.apply(null, codes.subarray(i, i + 8192));
+  }
+  return result;
+}
+
+/**
+ * Move markers and tombstones through one revision's diff and add the
+ * markers and tombstones it creates. `state` holds `markers`,
+ * `tombstones` and `nextId`, and is updated in place.
+ *
+ * @param {Object} state - Markers, tombstones and the next marker id
+ * @param {Array} diffs - Diff operations, after move detection
+ * @param {Object[]} moves - Moves found in the diff
+ * @param {Object} info - Revision metadata
+ * @param {Object} options - `trackDeletions`, and the `coalesce` predicate or null
+ * @param {Function} log - Records marker events (optional)
+ */
+function advanceState(state, diffs, moves, info, { trackDeletions, coalesce }, log) {
+  // Transform existing markers through this diff, dropping subsumed ones
+  transformMarkers(state.markers, diffs, info, moves, log);
+
+  // Add new markers for insertions in this revision
+  addInsertionMarkers(state.markers, diffs, info, () => state.nextId++, log);
+
+  if (coalesce) {
+    state.markers = mergeMarkers(state.markers, coalesce, log);
+  }
+
+  if (trackDeletions) {
+    transformTombstones(state.tombstones, diffs, moves);
+    addDeletionTombstones(state.tombstones, diffs, info);
+  }
+}
+
+/**
+ * Diff operations with their text replaced by its length, for keeping
+ * in history: the texts on either side restore them (see expandDiff).
+ */
+function compactDiff(diffs) {
+  return diffs.map(([op, text, tag]) => (tag === undefined ? [op, text.length] : [op, text.length, tag]));
+}
+
+/**
+ * Restore operations reduced by compactDiff, given the texts before and
+ * after them.
+ */
+function expandDiff(ops, before, after) {
+  let oldIndex = 0;
+  let newIndex = 0;
+  return ops.map(([op, length, tag]) => {
+    let text;
+    if (op === DIFF_INSERT) {
+      text = after.slice(newIndex, newIndex += length);
+    } else {
+      text = before.slice(oldIndex, oldIndex += length);
+      if (op === DIFF_EQUAL) newIndex += length;
+    }
+    return tag === undefined ? [op, text] : [op, text, tag];
+  });
+}
+
+/**
+ * Find blocks of text that were deleted in one place and inserted in
+ * another. Deleted and inserted material is compared piecewise: the
+ * longest shared run between any deleted and inserted piece becomes a
+ * move, and the leftovers are searched again until nothing long enough
+ * remains.
+ *
+ * Returns the diffs with each moved block split into its own delete and
+ * insert operations, tagged with a shared move record as a third tuple
+ * element, plus the list of moves.
+ *
+ * @param {Array} diffs - Diff operations between two revisions
+ * @param {Function} diff - Raw diff function used to compare pieces; it
+ *   should not merge away short equalities
+ * @param {number} minLength - Shortest block considered a move
+ * @returns {{ diffs: Array, moves: Object[] }}
+ */
+function findMoves(diffs, diff, minLength) {
+  const deleted = [];
+  const inserted = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+
+  diffs.forEach(([op, text, tag], opIndex) => {
+    if (op === DIFF_DELETE) {
+      if (!tag) deleted.push({ opIndex, offset: 0, index: oldIndex, text });
+      oldIndex += text.length;
+    } else if (op === DIFF_INSERT) {
+      if (!tag) inserted.push({ opIndex, offset: 0, index: newIndex, text });
+      newIndex += text.length;
+    } else {
+      oldIndex += text.length;
+      newIndex += text.length;
+    }
+  });
+
+  const moves = [];
+  const cuts = new Map();  // opIndex -> [{ start, end, move }]
+
+  // Cut a moved block out of a piece. Whitespace left dangling either
+  // side of it goes with the block rather than becoming its own edit.
+  const cut = (pieces, piece, start, move) => {
+    let end = start + move.length;
+    if (piece.text.slice(0, start).trim() === '') start = 0;
+    if (piece.text.slice(end).trim() === '') end = piece.text.length;
+
+    const ranges = cuts.get(piece.opIndex) || [];
+    ranges.push({ start: piece.offset + start, end: piece.offset + end, move });
+    cuts.set(piece.opIndex, ranges);
+    pieces.splice(pieces.indexOf(piece), 1, ...splitPiece(piece, start, end));
+  };
+
+  let block;
+  while ((block = longestSharedBlock(deleted, inserted, diff, minLength))) {
+    const { del, ins, delStart, insStart, length } = block;
+    const move = {
+      from: del.index + delStart,   // Offset in the old text
+      to: ins.index + insStart,     // Offset in the new text
+      length
+    };
+    moves.push(move);
+    cut(deleted, del, delStart, move);
+    cut(inserted, ins, insStart, move);
+  }
+
+  if (moves.length === 0) return { diffs, moves };
+
+  // Rebuild the diff with moved blocks as separate, tagged operations
+  const result = [];
+  diffs.forEach((diff, opIndex) => {
+    const [op, text] = diff;
+    if (!cuts.has(opIndex)) {
+      result.push(diff);
+      return;
+    }
+    const ranges = cuts.get(opIndex).sort((a, b) => a.start - b.start);
+    let pos = 0;
+    for (const { start, end, move } of ranges) {
+      if (start > pos) result.push([op, text.slice(pos, start)]);
+      result.push([op, text.slice(start, end), move]);
+      pos = end;
+    }
+    if (pos < text.length) result.push([op, text.slice(pos)]);
+  });
+
+  return { diffs: result, moves };
+}
+
+/**
+ * Longest run of text shared between any deleted and inserted piece,
+ * or null if none reaches `minLength`.
+ */
+function longestSharedBlock(deleted, inserted, diff, minLength) {
+  let best = null;
+
+  for (const del of deleted) {
+    if (del.text.length < minLength) continue;
+
+    for (const ins of inserted) {
+      if (ins.text.length < minLength) continue;
+
+      let delIndex = 0;
+      let insIndex = 0;
+      for (const [op, text] of diff(del.text, ins.text)) {
+        if (op === DIFF_EQUAL && text.length >= minLength &&
+            (!best || text.length > best.length)) {
+          best = { del, ins, delStart: delIndex, insStart: insIndex, length: text.length };
+        }
+        if (op !== DIFF_INSERT) delIndex += text.length;
+        if (op !== DIFF_DELETE) insIndex += text.length;
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Remove `[start, end)` from a piece, returning the non-empty pieces
+ * either side of it.
+ */
+function splitPiece(piece, start, end) {
+  return [
+    { ...piece, text: piece.text.slice(0, start) },
+    { ...piece, offset: piece.offset + end, index: piece.index + end, text: piece.text.slice(end) }
+  ].filter(p => p.text.length > 0);
+}
+
+/**
+ * Where each operation of a diff starts and ends in the old text, and
+ * starts in the new text. Both old-text columns are non-decreasing, so
+ * they can be binary searched.
+ */
+function indexDiff(diffs) {
+  const oldStarts = new Array(diffs.length);
+  const oldEnds = new Array(diffs.length);
+  const newStarts = new Array(diffs.length);
+  let oldIndex = 0;
+  let newIndex = 0;
+
+  diffs.forEach(([op, text], i) => {
+    oldStarts[i] = oldIndex;
+    newStarts[i] = newIndex;
+    if (op !== DIFF_INSERT) oldIndex += text.length;
+    if (op !== DIFF_DELETE) newIndex += text.length;
+    oldEnds[i] = oldIndex;
+  });
+
+  return { oldStarts, oldEnds, newStarts, oldLength: oldIndex, newLength: newIndex };
+}
+
+/**
+ * Index of the first entry of a non-decreasing array that is greater
+ * than `value` (the array's length if none is).
+ */
+function firstAfter(sorted, value) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] <= value) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * Transform existing markers based on a diff operation set.
+ * Markers shift, expand, or contract as text is inserted/deleted;
+ * expansions and contractions are attributed to `revision`. Markers
+ * lying wholly inside a moved block travel with it.
+ *
+ * Operations wholly before a marker only shift it, so each marker skips
+ * straight to the first operation that can reach it (found by binary
+ * search) and stops at the first one past its end. A revision costs
+ * O(markers × log(operations)) plus the operations that actually
+ * overlap markers, rather than markers × operations.
+ *
+ * Markers subsumed by a deletion are dropped from `markers` in place.
+ *
+ * `log`, if given, is called with `{ type, markerId, op, before, after }`
+ * for every change, where `op` is the diff operation responsible (the
+ * move record, for moves) and `before`/`after` are the marker's range.
+ */
+function transformMarkers(markers, diffs, revision, moves = [], log) {
+  // Keep markers in start order. Earlier revisions leave them sorted
+  // apart from the markers they added, so this is usually a merge of two runs.
+  for (let i = 1; i < markers.length; i++) {
+    if (markers[i - 1].start > markers[i].start) {
+      markers.sort((a, b) => a.start - b.start);
+      break;
+    }
+  }
+
+  const { oldEnds, oldStarts, newStarts, oldLength, newLength } = indexDiff(diffs);
+
+  // The edited stretch of the old text: markers wholly before it are
+  // untouched, and ones wholly after it just shift
+  const edits = diffs.map(([op]) => op !== DIFF_EQUAL);
+  const firstEdit = edits.indexOf(true);
+  const editStart = firstEdit < 0 ? oldLength : oldStarts[firstEdit];
+  const editEnd = firstEdit < 0 ? oldLength : oldEnds[edits.lastIndexOf(true)];
+  const delta = newLength - oldLength;
+
+  let marker;
+  let before;
+  let subsumed = false;
+  const record = (type, op) => {
+    if (!log) return;
+    const after = marker.enabled ? { start: marker.start, end: marker.end } : null;
+    log({ type, markerId: marker.id, op, before, after });
+    before = after;
+  };
+
+  for (marker of markers) {
+    if (!marker.enabled) continue;
+    before = log && { start: marker.start, end: marker.end };
+
+    const move = moves.length ? moves.find(m => marker.start >= m.from && marker.end < m.from + m.length) : null;
+    if (move) {
+      marker.shift(move.to - move.from);
+      record('move', move);
+      continue;
+    }
+    if (!log) {
+      if (marker.end < editStart) continue;
+      if (marker.start >= editEnd) {
+        marker.shift(delta);
+        continue;
+      }
+    }
+
+    // Operations ending at or before the marker's start only shift it:
+    // insertions at or before it, deletions and equal text before it
+    const first = firstAfter(oldEnds, marker.start);
+    if (log) {
+      for (let i = 0; i < first; i++) {
+        const [op, text] = diffs[i];
+        if (op === DIFF_EQUAL) continue;
+        marker.shift(op === DIFF_INSERT ? text.length : -text.length);
+        record('shift', [op, text]);
+      }
+    } else if (first < diffs.length) {
+      marker.shift(newStarts[first] - oldStarts[first]);
+    } else {
+      marker.shift(newLength - oldLength);
+    }
+
+    let index = first < diffs.length ? newStarts[first] : newLength;
+
+    for (let i = first; i < diffs.length && index <= marker.end; i++) {
+      const [op, text] = diffs[i];
+      const len = text.length;
+
+      if (op === DIFF_INSERT) {
+        if (index <= marker.start) {
+          // Insertion at marker start: shift right
+          marker.shift(len);
+          record('shift', [op, text]);
+        } else {
+          // Insertion within marker: expand
+          marker.expand(len, revision);
+          record('expand', [op, text]);
+        }
+        index += len;
+      } else if (op === DIFF_DELETE) {
+        const delEnd = index + len - 1;  // Inclusive end of deletion
+
+        if (index <= marker.start && delEnd >= marker.end) {
+          // Deletion encompasses entire marker: disable it
+          marker.enabled = false;
+        } else if (index <= marker.start) {
+          // Deletion overlaps start of marker
+          const preOverlap = marker.start - index;  // Part before marker
+          const overlap = delEnd - marker.start + 1;  // Part inside marker
+          marker.shift(-preOverlap);
+          marker.contract(overlap, revision);
+        } else if (delEnd >= marker.end) {
+          // Deletion overlaps end of marker
+          const overlap = marker.end - index + 1;
+          marker.contract(overlap, revision);
+        } else {
+          // Deletion entirely within marker: contract
+          marker.contract(len, revision);
+        }
+        if (before && (marker.start !== before.start || marker.end !== before.end || !marker.enabled)) {
+          record(marker.enabled ? 'contract' : 'subsume', [op, text]);
+        }
+        // Note: index doesn't advance for deletions (text removed from old)
+      } else {
+        // DIFF_EQUAL
+        index += len;
+      }
+
+      if (!marker.enabled) {
+        subsumed = true;
+        break;
+      }
+    }
+  }
+
+  if (subsumed) {
+    let kept = 0;
+    for (const m of markers) {
+      if (m.enabled) markers[kept++] = m;
+    }
+    markers.length = kept;
+  }
+}
+
+/**
+ * Add new markers for all insertions in a diff set, each tagged with
+ * the revision that introduced it. Moved blocks get 'move' markers;
+ * silent insertions get none. `nextId` hands out marker ids; `log` is
+ * as for transformMarkers.
+ */
+function addInsertionMarkers(markers, diffs, revision, nextId, log) {
+  let index = 0;
+
+  for (const [op, text, tag] of diffs) {
+    if (op === DIFF_INSERT && tag === SILENT) {
+      index += text.length;
+    } else if (op === DIFF_INSERT) {
+      const kind = tag ? 'move' : 'insert';
+      const marker = new Marker(index, index + text.length - 1, revision, kind, nextId());
+      markers.push(marker);
+      log?.({
+        type: 'create',
+        markerId: marker.id,
+        op: [op, text],
+        before: null,
+        after: { start: marker.start, end: marker.end }
+      });
+      index += text.length;
+    } else if (op === DIFF_EQUAL) {
+      index += text.length;
+    }
+    // DIFF_DELETE doesn't advance index in new text
+  }
+}
+
+/**
+ * Merge touching markers according to a coalescing policy, so the
+ * heatmap reflects distinct editorial passes rather than how often the
+ * editor autosaved. Returns merged copies; the input is left as it was.
+ *
+ * Markers touch when they overlap or are adjacent. Two touching markers
+ * of the same kind merge when any part of the policy allows it; the
+ * merged marker keeps the older marker's id and revision, spans both,
+ * and lists the newer one's revision in `modifiedBy`.
+ *
+ * @param {Marker[]} markers - Markers to coalesce
+ * @param {Object|Function} policy - Coalescing policy, or a predicate
+ *   `(a, b) => boolean` deciding whether two touching markers merge
+ * @param {boolean} policy.revision - Merge markers created by the same revision
+ * @param {boolean} policy.author - Merge markers by the same author
+ * @param {number} policy.window - Author: only merge markers created at
+ *   most this far apart (default: no limit)
+ * @param {string} policy.by - Author: measure the window in 'time'
+ *   (milliseconds between timestamps) or 'revision' (default: 'time')
+ * @param {boolean} policy.contained - Merge a marker into one that contains
+ *   it, however far apart they were made, unless both have authors and
+ *   they differ
+ * @param {Function} policy.merge - Custom predicate, as above
+ * @returns {Marker[]} Coalesced markers, ordered by start
+ */
+export function coalesceMarkers(markers, policy) {
+  const mayMerge = coalescePredicate(policy);
+  return mergeMarkers(markers.filter(m => m.enabled).map(m => m.clone()), mayMerge);
+}
+
+/**
+ * Predicate for whether two touching markers merge under a policy.
+ */
+function coalescePredicate(policy) {
+  const { revision = false, author = false, window = Infinity, by = 'time', contained = false, merge = null } =
+    typeof policy === 'function' ? { merge: policy } : policy;
+
+  if (by !== 'time' && by !== 'revision') {
+    throw new TypeError(`Unknown coalesce basis: ${by}`);
+  }
+  if (merge !== null && typeof merge !== 'function') {
+    throw new TypeError('Coalesce merge must be a function');
+  }
+
+  const position = by === 'time'
+    ? marker => toMillis(marker.revision?.timestamp)
+    : marker => marker.revision?.index ?? NaN;
+  const sameAuthor = (a, b) => a.revision?.author != null && a.revision.author === b.revision?.author;
+  const withinWindow = (a, b) => window === Infinity || Math.abs(position(a) - position(b)) <= window;
+  const contains = (a, b) => a.start <= b.start && b.end <= a.end;
+  // Containment only needs authors to match where both are known
+  const compatibleAuthors = (a, b) =>
+    a.revision?.author == null || b.revision?.author == null || a.revision.author === b.revision.author;
+
+  return (a, b) => {
+    if (a.kind !== b.kind) return false;
+    if (revision && a.revision?.index != null && a.revision.index === b.revision?.index) return true;
+    if (author && sameAuthor(a, b) && withinWindow(a, b)) return true;
+    if (contained && compatibleAuthors(a, b) && (contains(a, b) || contains(b, a))) return true;
+    return merge !== null && Boolean(merge(a, b));
+  };
+}
+
+/**
+ * Merge touching markers in place while `mayMerge` allows it, logging
+ * each absorbed marker. Returns the survivors, ordered by start.
+ */
+function mergeMarkers(markers, mayMerge, log) {
+  const older = (a, b) =>
+    ((a.revision?.index ?? -1) - (b.revision?.index ?? -1)) || ((a.id ?? 0) - (b.id ?? 0));
+
+  let merged = true;
+  while (merged) {
+    merged = false;
+    markers.sort((a, b) => (a.start - b.start) || (b.end - a.end));
+
+    for (let i = 0; i < markers.length; i++) {
+      for (let j = i + 1; markers[i].enabled && j < markers.length && markers[j].start <= markers[i].end + 1; j++) {
+        const [a, b] = [markers[i], markers[j]];
+        if (!b.enabled || !mayMerge(a, b)) continue;
+
+        const [kept, absorbed] = older(a, b) <= 0 ? [a, b] : [b, a];
+        const before = { start: absorbed.start, end: absorbed.end };
+        kept.start = Math.min(a.start, b.start);
+        kept.end = Math.max(a.end, b.end);
+        for (const revision of [absorbed.revision, ...absorbed.modifiedBy]) {
+          kept.touch(revision);
+        }
+        kept.modifiedBy.sort((x, y) => x.index - y.index);
+        absorbed.enabled = false;
+        merged = true;
+
+        log?.({
+          type: 'merge',
+          markerId: absorbed.id,
+          op: null,
+          before,
+          after: { start: kept.start, end: kept.end },
+          into: kept.id
+        });
+      }
+    }
+
+    markers = markers.filter(m => m.enabled);
+  }
+
+  return markers;
+}
+
+/**
+ * Move existing tombstones through a diff operation set. Insertions
+ * before a tombstone push it right; insertions at its position land
+ * after it. A deletion spanning a tombstone collapses it to the
+ * deletion point; one inside a moved block travels with it.
+ *
+ * A tombstone's new position depends only on the operations starting
+ * before it, so each is placed with one binary search.
+ */
+function transformTombstones(tombstones, diffs, moves = []) {
+  const { oldStarts, newStarts } = indexDiff(diffs);
+
+  for (const tombstone of tombstones) {
+    const move = moves.length
+      ? moves.find(m => tombstone.position > m.from && tombstone.position < m.from + m.length)
+      : null;
+    if (move) {
+      tombstone.shift(move.to - move.from);
+      continue;
+    }
+
+    // The last operation starting before the tombstone: everything it
+    // and earlier operations put in the new text comes before it, up to
+    // the tombstone for equal text
+    const last = firstAfter(oldStarts, tombstone.position - 1) - 1;
+    if (last < 0) continue;
+    const [op, text] = diffs[last];
+    const reach = op === DIFF_INSERT ? text.length
+      : op === DIFF_EQUAL ? Math.min(text.length, tombstone.position - oldStarts[last])
+        : 0;
+    tombstone.position = newStarts[last] + reach;
+  }
+}
+
+/**
+ * Add a tombstone for every deletion in a diff set, positioned in the
+ * new text. Text that moved elsewhere, and silent deletions, are not
+ * deletions.
+ */
+function addDeletionTombstones(tombstones, diffs, revision) {
+  let index = 0;
+
+  for (const [op, text, tag] of diffs) {
+    if (op === DIFF_DELETE) {
+      if (!tag) tombstones.push(new Tombstone(index, text, revision));
+    } else {
+      index += text.length;
+    }
+  }
+}
+
+/**
+ * Render text with markers as HTML with nested <ins> tags.
+ * Overlapping markers create nested tags, which CSS can style
+ * with increasing intensity.
+ * 
+ * @param {string} text - The final text
+ * @param {Marker[]} markers - Active markers
+ * @param {Object} options - Rendering options
+ * @param {string} options.tagName - HTML tag to use (default: 'ins')
+ * @param {string} options.className - CSS class for tags
+ * @param {boolean} options.byAuthor - Tag each marker with its author's
+ *   class and a `data-author` attribute (default: false)
+ * @param {Tombstone[]} options.tombstones - Deletions to show as <del> elements
+ * @param {string} options.deletions - 'inline' shows deleted text inside
+ *   <del>; 'marker' emits an empty <del> with the text in its title
+ *   (default: 'inline')
+ * @param {Object} options.decay - Weight markers by age (see getMarkerWeights);
+ *   each tag gets a `data-weight` attribute and a `--deep-diff-weight` custom
+ *   property for `getDefaultStyles(n, { weighted: true })`
+ * @param {string} options.mode - 'nested' nests a tag per marker; 'flat'
+ *   emits one well-formed tag per run of equal overlap, with a `depth-N`
+ *   class and `data-depth` attribute (default: 'nested')
+ * @param {number} options.maxDepth - Flat mode: cap for the `depth-N` class;
+ *   `data-depth` keeps the true depth (default: 5, matching getDefaultStyles)
+ * @param {boolean} options.tooltips - Add a `title` listing the revisions
+ *   that created and changed each marker (default: false)
+ * @param {string} options.format - 'markdown' or 'html' to treat `text` as
+ *   the markup `source` from computeDeepDiff: tags go into text runs only
+ *   and the markup is passed through unescaped (default: 'text')
+ * @param {boolean} options.escapeSource - With a markup format, escape the
+ *   source instead, so an HTML page shows it as text; only the marker tags
+ *   are HTML (default: false)
+ * @param {string} options.offsets - Unit of the marker and tombstone
+ *   offsets: 'utf16', 'codepoint' or 'grapheme' (default: 'utf16')
+ * @returns {string} HTML string (or Markdown with inline HTML)
+ */
+export function renderWithMarkers(text, markers, options = {}) {
+  const {
+    tagName = 'ins',
+    className = 'deep-diff',
+    byAuthor = false,
+    deletions = 'inline',
+    decay = null,
+    mode = 'nested',
+    maxDepth = 5,
+    format = 'text',
+    escapeSource = false,
+    tooltips = false,
+    offsets = 'utf16'
+  } = options;
+  let { tombstones = [] } = options;
+
+  if (mode !== 'nested' && mode !== 'flat') {
+    throw new TypeError(`Unknown render mode: ${mode}`);
+  }
+  if (!MARKUP_FORMATS.has(format)) {
+    throw new TypeError(`Unknown format "${format}"`);
+  }
+  checkOffsetUnit(offsets);
+
+  if (offsets !== 'utf16') {
+    const content = format === 'text' ? text : textContent(parseMarkup(text, format));
+    ({ markers, tombstones } = convertRanges(content, markers, tombstones, offsets, 'utf16'));
+  }
+
+  // Filter to only enabled markers
+  const activeMarkers = markers.filter(m => m.enabled);
+
+  if (activeMarkers.length === 0 && tombstones.length === 0) {
+    return format === 'text' || escapeSource ? escapeHtml(text) : text;
+  }
+
+  const weights = decay ? new Map(zip(activeMarkers, getMarkerWeights(activeMarkers, decay))) : null;
+  const openTag = (marker, depth, weight, covers = [marker]) => {
+    const author = byAuthor ? marker.revision?.author : undefined;
+    const classes = [className];
+    if (marker.kind === 'move') {
+      classes.push(className ? `${className}-moved` : 'moved');
+    }
+    if (depth != null) {
+      classes.push(`depth-${Math.min(depth, maxDepth)}`);
+    }
+    if (author != null) {
+      classes.push(getAuthorClassName(author, className));
+    }
+    const classList = classes.filter(Boolean).join(' ');
+    const attrs = classList ? [`class="${classList}"`] : [];
+    if (depth != null) {
+      attrs.push(`data-depth="${depth}"`);
+    }
+    if (author != null) {
+      attrs.push(`data-author="${escapeHtml(String(author))}"`);
+    }
+    if (weight != null) {
+      attrs.push(`data-weight="${formatWeight(weight)}"`, `style="--deep-diff-weight: ${formatWeight(weight)}"`);
+    }
+    if (tooltips) {
+      attrs.push(`title="${escapeHtml(covers.map(markerTooltip).join('\n'))}"`);
+    }
+    return attrs.length ? `<${tagName} ${attrs.join(' ')}>` : `<${tagName}>`;
+  };
+  const closeTag = `</${tagName}>`;
+  const deletedTag = tombstone => {
+    const attrs = [`class="${className ? `${className}-deleted` : 'deleted'}"`];
+    const revision = tombstone.revision;
+    if (revision) {
+      attrs.push(`data-revision="${escapeHtml(String(revision.id ?? revision.index))}"`);
+      if (byAuthor && revision.author != null) {
+        attrs.push(`data-author="${escapeHtml(String(revision.author))}"`);
+      }
+    }
+    const content = escapeHtml(tombstone.text);
+    return deletions === 'marker'
+      ? `<del ${attrs.join(' ')} title="${content}"></del>`
+      : `<del ${attrs.join(' ')}>${content}</del>`;
+  };
+
+  if (format !== 'text') {
+    return renderMarkup(parseMarkup(text, format), activeMarkers, tombstones,
+      { openTag, closeTag, deletedTag, weights, mode, escape: escapeSource ? escapeHtml : chunk => chunk });
+  }
+  if (mode === 'flat') {
+    return renderFlat(text, activeMarkers, tombstones, { openTag, closeTag, deletedTag, weights });
+  }
+
+  // Build list of boundary events
+  const events = [];
+  for (const marker of activeMarkers) {
+    events.push({ index: marker.start, type: 'open', marker });
+    events.push({ index: marker.end + 1, type: 'close', marker });
+  }
+  for (const tombstone of tombstones) {
+    events.push({ index: tombstone.position, type: 'tombstone', tombstone });
+  }
+
+  // Sort: by index, then closes, tombstones and opens at same position,
+  // so deletions sit outside markers that merely touch them
+  const order = { close: 0, tombstone: 1, open: 2 };
+  events.sort((a, b) => {
+    if (a.index !== b.index) return a.index - b.index;
+    return order[a.type] - order[b.type];
+  });
+
+  // Build output by interleaving text and tags
+  const tag = {
+    open: event => openTag(event.marker, null, weights?.get(event.marker)),
+    close: () => closeTag,
+    tombstone: event => deletedTag(event.tombstone)
+  };
+
+  let result = '';
+  let pos = 0;
+
+  for (const event of events) {
+    // Add text up to this event
+    if (event.index > pos) {
+      result += escapeHtml(text.slice(pos, event.index));
+      pos = event.index;
+    }
+    // Add tag
+    result += tag[event.type](event);
+  }
+
+  // Add remaining text
+  if (pos < text.length) {
+    result += escapeHtml(text.slice(pos));
+  }
+
+  return result;
+}
+
+/**
+ * Render markers as flat, non-overlapping tags, one per run of equal
+ * coverage, so partially overlapping markers still give well-formed HTML.
+ * Each tag takes its kind and author from the newest covering marker, and
+ * its weight is the mean weight of the covering markers.
+ */
+function renderFlat(text, markers, tombstones, { openTag, closeTag, deletedTag, weights, escape = escapeHtml }) {
+  const pending = [...tombstones].sort((a, b) => a.position - b.position);
+  let t = 0;
+  let result = '';
+
+  for (const { start, end, covering } of coverage(text.length, markers)) {
+    const covers = covering.map(index => markers[index]);
+    const order = marker => marker.revision?.index ?? -1;
+    const newest = covers.reduce((a, b) => (order(b) >= order(a) ? b : a), covers[0]);
+    const weight = weights && covers.length
+      ? covers.reduce((sum, marker) => sum + weights.get(marker), 0) / covers.length
+      : null;
+
+    // Split the run around tombstones so <del> never sits inside a tag
+    let pos = start;
+    while (pos <= end) {
+      while (t < pending.length && pending[t].position <= pos) {
+        result += deletedTag(pending[t++]);
+      }
+      const next = t < pending.length && pending[t].position <= end ? pending[t].position : end + 1;
+      const chunk = escape(text.slice(pos, next));
+      result += newest ? openTag(newest, covers.length, weight, covers) + chunk + closeTag : chunk;
+      pos = next;
+    }
+  }
+
+  while (t < pending.length) {
+    result += deletedTag(pending[t++]);
+  }
+
+  return result;
+}
+
+/**
+ * Render markers into parsed markup. Offsets index the text content;
+ * tags only ever wrap text pieces, closing before markup and reopening
+ * after it, so they never land inside a tag, an attribute or Markdown
+ * syntax. Atomic pieces (entities, escapes, code spans) are wrapped whole
+ * by the markers covering their start; opaque pieces are never wrapped.
+ */
+function renderMarkup(pieces, markers, tombstones, { openTag, closeTag, deletedTag, weights, mode, escape }) {
+  const runs = coverage(textContent(pieces).length, markers);
+  const pending = [...tombstones].sort((a, b) => a.position - b.position);
+  let r = 0;
+  let t = 0;
+  let offset = 0;
+  let result = '';
+  let open = null; // Raw text waiting to be wrapped, and the run covering it
+
+  const runAt = pos => {
+    while (r < runs.length && runs[r].end < pos) r++;
+    return runs[r] ?? null;
+  };
+  const wrap = (covers, raw) => {
+    if (covers.length === 0) return raw;
+    if (mode === 'flat') {
+      const order = marker => marker.revision?.index ?? -1;
+      const newest = covers.reduce((a, b) => (order(b) >= order(a) ? b : a), covers[0]);
+      const weight = weights
+        ? covers.reduce((sum, marker) => sum + weights.get(marker), 0) / covers.length
+        : null;
+      return openTag(newest, covers.length, weight, covers) + raw + closeTag;
+    }
+    return covers.map(marker => openTag(marker, null, weights?.get(marker))).join('') +
+      raw + closeTag.repeat(covers.length);
+  };
+  const flush = () => {
+    if (open) {
+      result += wrap(open.run ? open.run.covering.map(index => markers[index]) : [], open.raw);
+      open = null;
+    }
+  };
+  // Consecutive pieces under the same run share one set of tags
+  const emit = (run, raw) => {
+    if (open && open.run === run) {
+      open.raw += raw;
+    } else {
+      flush();
+      open = { run, raw };
+    }
+  };
+  const flushTombstones = pos => {
+    if (t < pending.length && pending[t].position <= pos) flush();
+    while (t < pending.length && pending[t].position <= pos) {
+      result += deletedTag(pending[t++]);
+    }
+  };
+
+  for (const piece of pieces) {
+    const end = offset + piece.text.length;
+
+    if (piece.kind === 'text') {
+      // Split at run boundaries and tombstones
+      let pos = offset;
+      while (pos < end) {
+        flushTombstones(pos);
+        const run = runAt(pos);
+        let next = run ? Math.min(end, run.end + 1) : end;
+        if (t < pending.length && pending[t].position < next) next = pending[t].position;
+        emit(run, escape(piece.raw.slice(pos - offset, next - offset)));
+        pos = next;
+      }
+    } else if (piece.kind === 'atomic' && piece.text.length > 0) {
+      flushTombstones(offset);
+      emit(runAt(offset), escape(piece.raw));
+    } else {
+      if (piece.text.length > 0) flushTombstones(offset);
+      flush();
+      result += escape(piece.raw);
+    }
+
+    offset = end;
+  }
+
+  flushTombstones(Infinity);
+  flush();
+  return result;
+}
+
+/**
+ * Split a markup source into pieces whose `text` concatenates to the
+ * document's text content:
+ * - 'text': literal text (`raw === text`)
+ * - 'atomic': an entity, escape or code span; highlighted as a whole
+ * - 'opaque': text that must not be wrapped (code blocks, Markdown line breaks)
+ * - 'markup': tags, comments and syntax, with empty `text`
+ *
+ * The Markdown support covers the common CommonMark syntax (headings,
+ * quotes, lists, rules, fences, emphasis, code spans, links, images and
+ * inline HTML) rather than the full grammar.
+ *
+ * @param {string} source - Markup source
+ * @param {string} format - 'markdown' or 'html'
+ * @returns {Array<{ raw: string, text: string, kind: string }>}
+ */
+function parseMarkup(source, format) {
+  const pieces = [];
+  const push = (raw, text, kind) => {
+    const last = pieces[pieces.length - 1];
+    if (kind === 'text' && last?.kind === 'text') {
+      last.raw += raw;
+      last.text += text;
+    } else {
+      pieces.push({ raw, text, kind });
+    }
+  };
+
+  if (format === 'html') {
+    parseInline(source, HTML_INLINE, push);
+    return pieces;
+  }
+
+  let fence = null;
+  for (const line of source.match(/[^\n]*\n?/g)) {
+    if (line === '') continue;
+    const body = line.endsWith('\n') ? line.slice(0, -1) : line;
+    const newline = line.slice(body.length);
+
+    if (fence) {
+      // Inside a fenced code block until a closing fence of the same kind
+      const closing = body.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+      if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length) {
+        push(body, '', 'markup');
+        fence = null;
+      } else {
+        push(body, body, 'opaque');
+      }
+    } else if ((fence = body.match(/^ {0,3}(`{3,}|~{3,})/)?.[1] ?? null)) {
+      push(body, '', 'markup');
+    } else if (/^ {0,3}(?:([-*_])(?:\s*\1){2,}|=+|-+)\s*$/.test(body)) {
+      // Thematic break or setext underline
+      push(body, '', 'markup');
+    } else {
+      const prefix = body.match(/^(?: {0,3}(?:#{1,6}|>|[-*+]|\d{1,9}[.)])(?=\s|$)\s*)*/)[0];
+      if (prefix) push(prefix, '', 'markup');
+      parseInline(body.slice(prefix.length), MARKDOWN_INLINE, push);
+    }
+
+    if (newline) push(newline, newline, 'opaque');
+  }
+
+  return pieces;
+}
+
+/**
+ * Concatenated text content of parsed markup pieces.
+ */
+function textContent(pieces) {
+  return pieces.map(piece => piece.text).join('');
+}
+
+// Inline markup rules for parseMarkup: tried in order at each position;
+// each returns a piece (or null to fall through) for a sticky match
+const HTML_INLINE = [
+  { pattern: /<!--[\s\S]*?(?:-->|$)|<(script|style)\b[\s\S]*?<\/\1\s*>|<[!?][^>]*>/iy, piece: m => [m[0], '', 'markup'] },
+  { pattern: /<\/?[A-Za-z][\w:-]*(?:"[^"]*"|'[^']*'|[^'">])*>/y, piece: m => [m[0], '', 'markup'] },
+  { pattern: /&(?:#\d+|#x[\da-f]+|[a-z][a-z\d]*);/iy, piece: m => [m[0], decodeEntity(m[0]), 'atomic'] }
+];
+
+const MARKDOWN_INLINE = [
+  { pattern: /\\[!-/:-@[-`{-~]/y, piece: m => [m[0], m[0][1], 'atomic'] },
+  { pattern: /(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/y, piece: m => [m[0], m[2], 'atomic'] },
+  { pattern: /!\[[^\]]*\]\([^)]*\)/y, piece: m => [m[0], '', 'markup'] },
+  { pattern: /\[(?=[^\]]*\]\()/y, piece: m => [m[0], '', 'markup'] },
+  { pattern: /\]\([^)]*\)/y, piece: m => [m[0], '', 'markup'] },
+  { pattern: /<((?:https?|mailto):[^\s<>]*)>/y, piece: m => [m[0], m[1], 'atomic'] },
+  ...HTML_INLINE,
+  { pattern: /\*+|_+|~~/y, piece: emphasisPiece }
+];
+
+/**
+ * Tokenise one run of inline content with the given rules, passing
+ * pieces to `push`; anything no rule claims is literal text.
+ */
+function parseInline(source, rules, push) {
+  let pos = 0;
+  let text = '';
+  const flush = () => {
+    if (text) push(text, text, 'text');
+    text = '';
+  };
+
+  outer: while (pos < source.length) {
+    for (const rule of rules) {
+      rule.pattern.lastIndex = pos;
+      const match = rule.pattern.exec(source);
+      const piece = match && rule.piece(match, source);
+      if (piece) {
+        flush();
+        push(...piece);
+        pos += match[0].length;
+        continue outer;
+      }
+    }
+    text += source[pos++];
+  }
+  flush();
+}
+
+/**
+ * A run of emphasis delimiters is markup when it touches non-space text
+ * on either side; `_` is also literal inside words (snake_case).
+ */
+function emphasisPiece(match, source) {
+  const before = source[match.index - 1] ?? ' ';
+  const after = source[match.index + match[0].length] ?? ' ';
+  const leftFlanking = /\S/.test(after);
+  const rightFlanking = /\S/.test(before);
+  if (!leftFlanking && !rightFlanking) return null;
+  if (match[0][0] === '_' && /[\p{L}\p{N}]/u.test(before) && /[\p{L}\p{N}]/u.test(after)) return null;
+  return [match[0], '', 'markup'];
+}
+
+/**
+ * Decode a character reference. Numeric references and the common named
+ * ones are decoded; other names are kept as written.
+ */
+function decodeEntity(entity) {
+  const name = entity.slice(1, -1);
+  if (name[0] === '#') {
+    const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  }
+  return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+}
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+/**
+ * Convenience function: compute deep diff and render as HTML.
+ */
+export function deepDiffHtml(revisions, options = {}) {
+  const { text, source, markers, tombstones } = computeDeepDiff(revisions, options);
+  return renderWithMarkers(source ?? text, markers, { ...options, tombstones });
+}
+
+/**
+ * Build a complete, self-contained HTML report: the heatmap with
+ * per-marker tooltips, a depth legend, the hottest regions and
+ * (optionally) the list of revisions. Styles are inlined and no
+ * scripts are used, so the file can be attached to a ticket as-is.
+ *
+ * Takes the options of computeDeepDiff and renderWithMarkers, plus:
+ *
+ * @param {Array<string|Object>} revisions - Text versions, oldest first
+ * @param {Object} options - Report options
+ * @param {string} options.title - Page title (default: 'Deep diff report')
+ * @param {number} options.maxDepth - Depth levels to style and show in the legend (default: 5)
+ * @param {number} options.top - Number of hottest regions to list (default: 5)
+ * @param {boolean} options.revisionList - Include the list of revisions (default: true)
+ * @param {Object} options.theme - Colours for the inlined styles: the
+ *   `palette`, `color`, `gradient`, `alpha` and `dark` options of getDefaultStyles
+ * @param {string} options.offsets - Unit of the character ranges listed
+ *   for the hottest regions (default: 'utf16')
+ * @returns {string} HTML document
+ */
+export function deepDiffReport(revisions, options = {}) {
+  const {
+    title = 'Deep diff report',
+    maxDepth = 5,
+    top = 5,
+    revisionList = true,
+    theme = {},
+    tagName = 'ins',
+    className = 'deep-diff',
+    mode = 'nested',
+    byAuthor = false,
+    decay = null,
+    format = 'text',
+    offsets = 'utf16'
+  } = options;
+
+  // Work in UTF-16 units; only the reported ranges use `offsets`
+  const { text, source, markers, tombstones } = computeDeepDiff(revisions, { ...options, offsets: 'utf16' });
+  const infos = revisions.map((revision, index) => normalizeRevision(revision, index).info);
+  const flat = mode === 'flat';
+  const toUnit = offsetConverter(text, 'utf16', offsets);
+
+  // Markdown is shown as source, so it must not become live HTML
+  const heatmap = renderWithMarkers(source ?? text, markers, {
+    tooltips: true, ...options, className, maxDepth: flat ? maxDepth : Infinity, tombstones, offsets: 'utf16',
+    escapeSource: format === 'markdown'
+  });
+  const depthMap = getDepthMap(text, markers, { top, decay });
+
+  // Styles: the page itself, then the heatmap
+  const authors = infos.map(info => info.author).filter(author => author != null);
+  const styleOptions = { ...theme, className, flat, weighted: decay != null };
+  let css = REPORT_STYLES + getDefaultStyles(maxDepth, styleOptions);
+  if (byAuthor) {
+    css += getAuthorStyles(authors, maxDepth, styleOptions);
+  }
+
+  // Legend swatches are real marker tags, so they match the heatmap exactly
+  const swatch = (depth, label) => flat
+    ? `<${tagName} class="${className} depth-${depth}">${label}</${tagName}>`
+    : `<${tagName} class="${className}">`.repeat(depth) + label + `</${tagName}>`.repeat(depth);
+  const changedLabel = depth =>
+    `Changed ${depth === 1 ? 'once' : `${depth} times`}${depth === maxDepth ? ' or more' : ''}`;
+  const legend = Array.from({ length: maxDepth }, (_, i) => `<li>${swatch(i + 1, changedLabel(i + 1))}</li>`)
+    .join('');
+
+  const changed = text.length - (depthMap.histogram[0] ?? 0);
+  const percent = text.length ? Math.round(changed / text.length * 100) : 0;
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const summary = [
+    plural(revisions.length, 'revision'),
+    plural(markers.length, 'changed region'),
+    `maximum depth ${depthMap.maxDepth}`,
+    `${percent}% of the text changed`
+  ].join(' · ');
+
+  const excerpt = segment => {
+    const snippet = text.slice(segment.start, segment.end + 1);
+    return escapeHtml(snippet.length > 80 ? snippet.slice(0, 79) + '…' : snippet);
+  };
+  const hottest = depthMap.hottest.map(segment =>
+    `<li>${swatch(Math.min(segment.depth, maxDepth), `depth ${segment.depth}`)} ` +
+    `<q>${excerpt(segment)}</q> <small>characters ${toUnit(segment.start)}–${toUnit(segment.end)}</small></li>`
+  ).join('\n');
+
+  const created = new Map();
+  for (const marker of markers) {
+    const index = marker.revision?.index;
+    created.set(index, (created.get(index) ?? 0) + 1);
+  }
+  const revisionItems = infos.map(info => {
+    const count = created.get(info.index) ?? 0;
+    return `<li>${escapeHtml(revisionLabel(info))}` +
+      (count ? ` <small>${plural(count, 'surviving change')}</small>` : '') + '</li>';
+  }).join('\n');
+
+  const sections = [
+    `<header>\n<h1>${escapeHtml(title)}</h1>\n<p class="deep-diff-report-summary">${summary}</p>\n</header>`,
+    `<section>\n<h2>Legend</h2>\n<ul class="deep-diff-report-legend">${legend}</ul>\n</section>`,
+    `<section>\n<h2>Document</h2>\n<div class="deep-diff-report-document${format === 'html' ? '' : ' deep-diff-report-pre'}">${heatmap}</div>\n</section>`,
+    `<section>\n<h2>Hottest regions</h2>\n` +
+      (hottest ? `<ol class="deep-diff-report-hottest">\n${hottest}\n</ol>` : '<p>No changes.</p>') + '\n</section>'
+  ];
+  if (revisionList) {
+    sections.push(`<section>\n<h2>Revisions</h2>\n<ol class="deep-diff-report-revisions" start="0">\n${revisionItems}\n</ol>\n</section>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+${css}</style>
+</head>
+<body>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render text with markers for a terminal. Nesting depth maps to a graded
+ * green background: a dark-to-bright ramp of the 256-colour palette, or in
+ * truecolor the heatmap green of getDefaultStyles blended over the
+ * terminal background at each depth's intensity. Overlaps are flattened
+ * into runs, so escape sequences never interleave.
+ *
+ * With `color: 'none'` no escape sequences are emitted; each marker is
+ * wrapped in brackets instead, as in `[The [client]] shall pay`.
+ *
+ * @param {string} text - The final text
+ * @param {Marker[]} markers - Markers to render
+ * @param {Object} options - Rendering options
+ * @param {string} options.color - '256', 'truecolor' or 'none' (default: '256')
+ * @param {number} options.maxDepth - Depth at which the scale peaks (default: 5)
+ * @param {number[]} options.background - Truecolor: terminal background as
+ *   [r, g, b] (default: [0, 0, 0])
+ * @param {Tombstone[]} options.tombstones - Deletions to show as struck-through text
+ * @param {string[]} options.brackets - Plain text: marker delimiters (default: ['[', ']'])
+ * @param {string[]} options.deletionBrackets - Plain text: tombstone
+ *   delimiters (default: ['[-', '-]'])
+ * @param {string} options.offsets - Unit of the marker and tombstone
+ *   offsets: 'utf16', 'codepoint' or 'grapheme' (default: 'utf16')
+ * @returns {string} Text with ANSI escape sequences or bracket markers
+ */
+export function renderAnsi(text, markers, options = {}) {
+  const {
+    color = '256',
+    maxDepth = 5,
+    background = [0, 0, 0],
+    brackets = ['[', ']'],
+    deletionBrackets = ['[-', '-]'],
+    offsets = 'utf16'
+  } = options;
+  let { tombstones = [] } = options;
+
+  if (color !== '256' && color !== 'truecolor' && color !== 'none') {
+    throw new TypeError(`Unknown color mode: ${color}`);
+  }
+  checkOffsetUnit(offsets);
+  if (offsets !== 'utf16') {
+    ({ markers, tombstones } = convertRanges(text, markers, tombstones, offsets, 'utf16'));
+  }
+
+  const activeMarkers = markers.filter(m => m.enabled);
+
+  if (color === 'none') {
+    const events = [];
+    for (const marker of activeMarkers) {
+      events.push({ index: marker.start, order: 2, text: brackets[0] });
+      events.push({ index: marker.end + 1, order: 0, text: brackets[1] });
+    }
+    for (const tombstone of tombstones) {
+      const deleted = deletionBrackets[0] + tombstone.text + deletionBrackets[1];
+      events.push({ index: tombstone.position, order: 1, text: deleted });
+    }
+    events.sort((a, b) => (a.index - b.index) || (a.order - b.order));
+
+    let result = '';
+    let pos = 0;
+    for (const event of events) {
+      if (event.index > pos) {
+        result += text.slice(pos, event.index);
+        pos = event.index;
+      }
+      result += event.text;
+    }
+    return result + text.slice(pos);
+  }
+
+  const baseColor = [144, 238, 144]; // Light green, as in getDefaultStyles
+  const depthColor = depth => {
+    // Position on the scale: 0 at depth 1, 1 from maxDepth on
+    const level = maxDepth > 1 ? (Math.min(depth, maxDepth) - 1) / (maxDepth - 1) : 1;
+    let rgb, code;
+    if (color === 'truecolor') {
+      const alpha = DEFAULT_RAMP.start + level * (DEFAULT_RAMP.max - DEFAULT_RAMP.start);
+      rgb = baseColor.map((channel, i) => Math.round(background[i] + (channel - background[i]) * alpha));
+      code = `48;2;${rgb.join(';')}`;
+    } else {
+      const index = ANSI_GREENS[Math.round(level * (ANSI_GREENS.length - 1))];
+      rgb = ansiCubeColor(index);
+      code = `48;5;${index}`;
+    }
+    // Dark text on light backgrounds, the terminal's own colour otherwise
+    return luminance(rgb) > 0.5 ? `\x1b[30;${code}m` : `\x1b[${code}m`;
+  };
+
+  return renderFlat(text, activeMarkers, tombstones, {
+    openTag: (marker, depth) => depthColor(depth),
+    closeTag: ANSI_RESET,
+    deletedTag: tombstone => ANSI_DELETED + tombstone.text + ANSI_RESET,
+    escape: chunk => chunk
+  });
+}
+
+/**
+ * RGB value of a colour in the 6x6x6 cube of the 256-colour palette.
+ */
+function ansiCubeColor(index) {
+  const n = index - 16;
+  return [Math.floor(n / 36), Math.floor(n / 6) % 6, n % 6].map(level => ANSI_CUBE[level]);
+}
+
+/**
+ * Relative brightness of an RGB colour, from 0 to 1.
+ */
+function luminance([r, g, b]) {
+  return (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+}
+
+/**
+ * Collapse overlapping markers into a run-length depth map of the text,
+ * with summary statistics.
+ *
+ * Segments cover the whole text in order, including unmarked (depth 0)
+ * stretches, and use inclusive end offsets like markers. Each lists the
+ * ids of the markers covering it (a marker's index in `markers` if it
+ * has no id).
+ *
+ * @param {string} text - The final text
+ * @param {Marker[]} markers - Markers to collapse
+ * @param {Object} options - Options
+ * @param {number} options.top - Number of hottest segments to report (default: 5)
+ * @param {Object} options.decay - Weight markers by age (see getMarkerWeights);
+ *   segments then carry a `heat` (the summed weights) and are ranked by it
+ * @param {string} options.offsets - Unit of the marker offsets, and so of
+ *   the segments and histogram: 'utf16', 'codepoint' or 'grapheme'
+ *   (default: 'utf16')
+ * @returns {{ segments: Object[], maxDepth: number, histogram: number[], hottest: Object[] }}
+ */
+export function getDepthMap(text, markers, options = {}) {
+  const { top = 5, decay = null, offsets = 'utf16' } = options;
+  checkOffsetUnit(offsets);
+  const length = unitLength(text, offsets);
+  const weights = decay ? getMarkerWeights(markers, decay) : null;
+
+  const segments = coverage(length, markers).map(({ start, end, covering }) => {
+    const segment = {
+      start,
+      end,
+      depth: covering.length,
+      markerIds: covering.map(index => markers[index].id ?? index)
+    };
+    if (weights) {
+      segment.heat = covering.reduce((sum, index) => sum + weights[index], 0);
+    }
+    return segment;
+  });
+
+  const maxDepth = segments.reduce((max, s) => Math.max(max, s.depth), 0);
+  const histogram = new Array(maxDepth + 1).fill(0);
+  for (const segment of segments) {
+    histogram[segment.depth] += segment.end - segment.start + 1;
+  }
+
+  const rank = weights ? s => s.heat : s => s.depth;
+  const hottest = segments
+    .filter(s => s.depth > 0)
+    .sort((a, b) => (rank(b) - rank(a)) || ((b.end - b.start) - (a.end - a.start)) || (a.start - b.start))
+    .slice(0, top);
+
+  return { segments, maxDepth, histogram, hottest };
+}
+
+/**
+ * Split `[0, length)` into runs covered by the same enabled markers.
+ * Returns `{ start, end, covering }` runs with inclusive ends, where
+ * `covering` lists marker indices in the order the markers open.
+ */
+function coverage(length, markers) {
+  // Boundary events, clamped to the text
+  const events = [];
+  markers.forEach((marker, index) => {
+    if (!marker.enabled) return;
+    const start = Math.max(marker.start, 0);
+    const end = Math.min(marker.end + 1, length);
+    if (end <= start) return;
+    events.push({ pos: start, index, open: true });
+    events.push({ pos: end, index, open: false });
+  });
+  events.sort((a, b) => a.pos - b.pos);
+
+  const runs = [];
+  const active = new Set();
+  let pos = 0;
+  let e = 0;
+
+  while (pos < length) {
+    while (e < events.length && events[e].pos === pos) {
+      const { index, open } = events[e++];
+      if (open) active.add(index); else active.delete(index);
+    }
+    const next = e < events.length ? events[e].pos : length;
+    runs.push({ start: pos, end: next - 1, covering: [...active] });
+    pos = next;
+  }
+
+  return runs;
+}
+
+/**
+ * Express markers as line/column ranges, for editor gutters and
+ * decorations. Positions are one-based and, like marker offsets, the end
+ * is inclusive: it points at the marker's last character. Columns count
+ * in the `offsets` unit. Disabled markers map to null.
+ *
+ * @param {string} text - The final text
+ * @param {Marker[]} markers - Markers to locate
+ * @param {Object} options - Options
+ * @param {string} options.offsets - Unit of the marker offsets and of the
+ *   columns: 'utf16', 'codepoint' or 'grapheme' (default: 'utf16')
+ * @returns {Array<{ start: { line: number, column: number }, end: { line: number, column: number } }|null>}
+ *   One range per marker, in the same order as `markers`
+ */
+export function getMarkerLineRanges(text, markers, options = {}) {
+  const { offsets = 'utf16' } = options;
+  checkOffsetUnit(offsets);
+  const locate = lineLocator(text, offsets);
+  const toUtf16 = offsetConverter(text, offsets, 'utf16');
+
+  return markers.map(marker => (marker.enabled
+    ? { start: locate(toUtf16(marker.start)), end: locate(toUtf16(marker.end)) }
+    : null));
+}
+
+/**
+ * Summarise churn line by line: for each line of the text, the deepest
+ * marker nesting on it, the markers touching it and the revisions that
+ * created or reshaped them. Every line is listed, unchanged ones included,
+ * so the result can be indexed by line number.
+ *
+ * @param {string} text - The final text
+ * @param {Marker[]} markers - Markers to summarise
+ * @param {Object} options - Options
+ * @param {string} options.offsets - Unit of the marker offsets (default: 'utf16')
+ * @returns {Array<{ line: number, maxDepth: number, markerCount: number,
+ *   markerIds: number[], revisions: Object[] }>} One entry per line, in order
+ */
+export function getLineChurn(text, markers, options = {}) {
+  const { offsets = 'utf16' } = options;
+  checkOffsetUnit(offsets);
+  const ranges = offsets === 'utf16' ? markers : convertRanges(text, markers, [], offsets, 'utf16').markers;
+  const starts = lineStarts(text);
+  const lineOf = index => lastAtOrBefore(starts, index);
+
+  const depths = new Array(starts.length).fill(0);
+  const touching = starts.map(() => new Set());
+  for (const { start, end, covering } of coverage(text.length, ranges)) {
+    for (let line = lineOf(start); line <= lineOf(end); line++) {
+      depths[line] = Math.max(depths[line], covering.length);
+      for (const index of covering) touching[line].add(index);
+    }
+  }
+
+  return starts.map((_, line) => {
+    const indices = [...touching[line]].sort((a, b) => a - b);
+    const revisions = new Set();
+    for (const index of indices) {
+      const { revision, modifiedBy = [] } = markers[index];
+      for (const info of [revision, ...modifiedBy]) {
+        if (info) revisions.add(info);
+      }
+    }
+    return {
+      line: line + 1,
+      maxDepth: depths[line],
+      markerCount: indices.length,
+      markerIds: indices.map(index => markers[index].id ?? index),
+      revisions: [...revisions].sort((a, b) => a.index - b.index)
+    };
+  });
+}
+
+/**
+ * Weight each marker by the age of the revision that created it, so old
+ * churn fades while recent edits stay hot. Weights run from 1 for the
+ * newest revision down towards 0, in the same order as `markers`.
+ *
+ * Age is counted in revisions (`by: 'revision'`) or in milliseconds
+ * between timestamps (`by: 'time'`), back from `now`, which defaults to
+ * the newest revision among the markers. Markers with no revision, or no
+ * timestamp when decaying by time, keep full weight.
+ *
+ * @param {Marker[]} markers - Markers to weigh
+ * @param {Object} decay - Decay settings
+ * @param {string} decay.type - 'linear', 'exponential' or 'half-life' (default: 'half-life')
+ * @param {string} decay.by - 'revision' or 'time' (default: 'revision')
+ * @param {number} decay.window - Linear: age at which the weight reaches 0
+ *   (default: 50 revisions or 365 days)
+ * @param {number} decay.rate - Exponential: weight is e^(-rate * age)
+ *   (default: 0.1 per revision, or a 30 day half-life)
+ * @param {number} decay.halfLife - Half-life: age at which the weight halves
+ *   (default: 10 revisions or 30 days)
+ * @param {number|string|Date} decay.now - Revision index or timestamp to measure age from
+ * @returns {number[]} One weight per marker
+ */
+export function getMarkerWeights(markers, decay = {}) {
+  const { type = 'half-life', by = 'revision' } = decay;
+  const curve = DECAY_CURVES[type];
+  if (!curve) {
+    throw new TypeError(`Unknown decay type: ${type}`);
+  }
+  if (!DECAY_DEFAULTS[by]) {
+    throw new TypeError(`Unknown decay basis: ${by}`);
+  }
+  const scale = decay[curve.param] ?? DECAY_DEFAULTS[by][curve.param];
+  if (!(scale > 0)) {
+    throw new TypeError(`Decay ${curve.param} must be a positive number`);
+  }
+
+  const position = by === 'time'
+    ? marker => toMillis(marker.revision?.timestamp)
+    : marker => marker.revision?.index ?? NaN;
+  const positions = markers.map(position);
+  const now = decay.now != null
+    ? (by === 'time' ? toMillis(decay.now) : decay.now)
+    : Math.max(...positions.filter(Number.isFinite));
+
+  return positions.map(pos => Number.isFinite(pos)
+    ? curve.weight(Math.max(now - pos, 0), scale)
+    : 1);
+}
+
+/**
+ * Get CSS for styling nested markers with increasing intensity.
+ *
+ * Each depth gets the palette colour at an opacity that ramps up with
+ * depth. Multi-stop palettes and gradients also shift hue, spreading
+ * their stops from depth 1 to `maxDepth`.
+ *
+ * @param {number} maxDepth - Maximum nesting depth (default: 5)
+ * @param {Object} options - Style options
+ * @param {boolean} options.weighted - Scale each level by the marker's
+ *   `--deep-diff-weight`, as set by the `decay` render option (default: false)
+ * @param {boolean} options.flat - Target the `depth-N` classes of flat
+ *   rendering instead of descendant selectors (default: false)
+ * @param {string} options.className - Class the markers were rendered
+ *   with (default: 'deep-diff')
+ * @param {string} options.palette - Built-in palette: 'green', 'heat',
+ *   'blue', 'viridis' or 'cividis' (default: 'green')
+ * @param {string|number[]} options.color - Single base colour, as
+ *   '#rrggbb' or [r, g, b]; overrides the palette
+ * @param {Array<string|number[]>} options.gradient - Colour stops from
+ *   shallowest to deepest; overrides the palette and color
+ * @param {Object} options.alpha - Opacity ramp `{ start, step, max }`
+ *   (default: { start: 0.3, step: 0.15, max: 0.9 })
+ * @param {boolean|Object} options.dark - Add a `prefers-color-scheme: dark`
+ *   variant: true for the palette's own dark colours, or an object with
+ *   `palette`, `color`, `gradient` or `alpha` overrides (default: false)
+ * @returns {string} CSS string
+ */
+export function getDefaultStyles(maxDepth = 5, options = {}) {
+  const { className = 'deep-diff', dark = false } = options;
+  const cls = `.${className}`;
+
+  let css = heatRules(maxDepth, resolveTheme(options, 'light'), options);
+
+  // Moved blocks keep the heatmap background but are outlined
+  css += `${cls}-moved { outline: 1px dashed rgba(70,130,180,0.8); }\n`;
+
+  // Tombstones: struck-through text, or a thin bar when rendered as markers
+  css += `${cls}-deleted { color: #b22222; text-decoration: line-through; }\n`;
+  css += `${cls}-deleted:empty { border-left: 2px solid #b22222; }\n`;
+
+  if (dark) {
+    const theme = resolveTheme(dark === true ? options : { ...options, ...dark }, 'dark');
+    const rules = heatRules(maxDepth, theme, options) +
+      `${cls}-deleted { color: #ff7b72; }\n` +
+      `${cls}-deleted:empty { border-left-color: #ff7b72; }\n`;
+    css += '@media (prefers-color-scheme: dark) {\n' +
+      rules.replace(/^/gm, '  ').replace(/ +$/, '') + '}\n';
+  }
+
+  return css;
+}
+
+/**
+ * Background rules for each nesting depth.
+ */
+function heatRules(maxDepth, { stops, ramp }, { className = 'deep-diff', flat = false, weighted = false }) {
+  const cls = `.${className}`;
+  let css = '';
+
+  for (let i = 1; i <= maxDepth; i++) {
+    const selector = flat ? `${cls}.depth-${i}` : `${cls} `.repeat(i).trim();
+    const rgb = gradientColor(stops, maxDepth > 1 ? (i - 1) / (maxDepth - 1) : 0);
+    css += `${selector} { background-color: rgba(${rgb.join(',')}, ${depthAlpha(i, weighted, ramp)}); }\n`;
+  }
+
+  return css;
+}
+
+/**
+ * Colour stops and opacity ramp from style options, for the light or
+ * dark scheme. An explicit gradient beats a colour, which beats a palette.
+ */
+function resolveTheme({ palette = 'green', color, gradient, alpha }, scheme) {
+  const builtIn = PALETTES[palette];
+  if (!builtIn) {
+    throw new TypeError(`Unknown palette "${palette}"`);
+  }
+  const stops = gradient ?? (color != null ? [color] : builtIn[scheme]);
+  if (!Array.isArray(stops) || stops.length === 0) {
+    throw new TypeError('A gradient needs at least one colour stop');
+  }
+  return { stops: stops.map(parseColor), ramp: { ...DEFAULT_RAMP, ...alpha } };
+}
+
+/**
+ * Colour at position `t` (0 to 1) along evenly spaced gradient stops.
+ */
+function gradientColor(stops, t) {
+  if (stops.length === 1) return stops[0];
+  const scaled = t * (stops.length - 1);
+  const i = Math.min(Math.floor(scaled), stops.length - 2);
+  const f = scaled - i;
+  return stops[i].map((channel, c) => Math.round(channel + (stops[i + 1][c] - channel) * f));
+}
+
+/**
+ * Parse '#rgb', '#rrggbb' or [r, g, b] into [r, g, b].
+ */
+function parseColor(color) {
+  if (Array.isArray(color) && color.length === 3 && color.every(c => Number.isInteger(c) && c >= 0 && c <= 255)) {
+    return color;
+  }
+  const hex = typeof color === 'string' && color.match(/^#([\da-f]{3}|[\da-f]{6})$/i)?.[1];
+  if (!hex) {
+    throw new TypeError(`Invalid colour ${JSON.stringify(color)}: use '#rrggbb' or [r, g, b]`);
+  }
+  const full = hex.length === 3 ? [...hex].map(h => h + h).join('') : hex;
+  return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16));
+}
+
+/**
+ * Get CSS giving each author a distinct hue, with nesting depth still
+ * controlling intensity. Hues are stable for a given set of authors.
+ * Pair with `renderWithMarkers(..., { byAuthor: true })`.
+ *
+ * @param {string[]} authors - Author names to generate rules for
+ * @param {number} maxDepth - Maximum nesting depth (default: 5)
+ * @param {Object} options - Style options
+ * @param {boolean} options.weighted - Scale by `--deep-diff-weight` (default: false)
+ * @param {boolean} options.flat - Target flat rendering's `depth-N` classes (default: false)
+ * @param {string} options.className - Class the markers were rendered with (default: 'deep-diff')
+ * @param {Object} options.alpha - Opacity ramp `{ start, step, max }`, as in getDefaultStyles
+ * @returns {string} CSS string
+ */
+export function getAuthorStyles(authors, maxDepth = 5, options = {}) {
+  const { weighted = false, flat = false, className = 'deep-diff', alpha } = options;
+  const ramp = { ...DEFAULT_RAMP, ...alpha };
+  const cls = `.${className}`;
+  let css = '';
+
+  const hues = getAuthorHues(authors);
+  for (const author of new Set(authors)) {
+    const authorClass = getAuthorClassName(author, className);
+    const hue = hues.get(authorSlug(author));
+
+    // Compound selectors so author rules win over getDefaultStyles() at every depth
+    for (let i = 1; i <= maxDepth; i++) {
+      const selector = flat
+        ? `${cls}.depth-${i}.${authorClass}`
+        : `${cls} `.repeat(i - 1) + `${cls}.${authorClass}`;
+      css += selector +
+             ` { background-color: hsla(${hue}, 70%, 55%, ${depthAlpha(i, weighted, ramp)}); }\n`;
+    }
+  }
+
+  return css;
+}
+
+/**
+ * CSS class name for an author's markers, e.g. `deep-diff-author-alice`.
+ */
+export function getAuthorClassName(author, className = 'deep-diff') {
+  const slug = authorSlug(author);
+  return className ? `${className}-author-${slug}` : `author-${slug}`;
+}
+
+/**
+ * Background opacity for a marker at the given nesting depth.
+ */
+function depthIntensity(depth, ramp = DEFAULT_RAMP) {
+  return Math.min(ramp.start + (depth - 1) * ramp.step, ramp.max);
+}
+
+/**
+ * Background alpha for a nesting level, optionally scaled by the
+ * per-marker weight custom property.
+ */
+function depthAlpha(depth, weighted, ramp) {
+  const intensity = depthIntensity(depth, ramp);
+  return weighted ? `calc(${intensity} * var(--deep-diff-weight, 1))` : intensity;
+}
+
+/**
+ * Tooltip text for a marker: the revision that created it and those
+ * that changed it since.
+ */
+function markerTooltip(marker) {
+  const lines = [`Added in ${revisionLabel(marker.revision)}`];
+  for (const revision of marker.modifiedBy ?? []) {
+    lines.push(`Changed in ${revisionLabel(revision)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Human-readable description of a revision, e.g.
+ * "r2 by alice, 2024-01-31 09:30 UTC".
+ */
+function revisionLabel(revision) {
+  if (!revision) return 'an unknown revision';
+  let label = revision.id != null ? String(revision.id) : `revision ${revision.index}`;
+  if (revision.author != null) label += ` by ${revision.author}`;
+  if (revision.timestamp != null) label += `, ${formatTimestamp(revision.timestamp)}`;
+  return label;
+}
+
+/**
+ * Timestamp as "YYYY-MM-DD HH:MM UTC", or as given if it cannot be parsed.
+ */
+function formatTimestamp(timestamp) {
+  const ms = toMillis(timestamp);
+  return Number.isFinite(ms)
+    ? new Date(ms).toISOString().slice(0, 16).replace('T', ' ') + ' UTC'
+    : String(timestamp);
+}
+
+/**
+ * Weight with at most three decimals, for attributes and inline styles.
+ */
+function formatWeight(weight) {
+  return String(Math.round(weight * 1000) / 1000);
+}
+
+/**
+ * Timestamp (epoch milliseconds, date string or Date) as epoch milliseconds;
+ * NaN if missing or unparseable.
+ */
+function toMillis(timestamp) {
+  if (timestamp instanceof Date) return timestamp.getTime();
+  if (typeof timestamp === 'number') return timestamp;
+  if (typeof timestamp === 'string') return Date.parse(timestamp);
+  return NaN;
+}
+
+/**
+ * Pair up two arrays element by element.
+ */
+function zip(a, b) {
+  return a.map((item, i) => [item, b[i]]);
+}
+
+/**
+ * Reduce an author name to a string that is safe inside a class name.
+ * Names with no usable characters fall back to a hash.
+ */
+function authorSlug(author) {
+  const slug = String(author)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || hashString(String(author)).toString(36);
+}
+
+/**
+ * Hue (0-359) for each author slug, so authors sharing a class name also
+ * share a colour. Each starts at a hue hashed from the slug; taken in
+ * slug order, one that lands too close to an earlier hue moves to the
+ * middle of the widest free gap instead. Hues therefore depend only on
+ * the set of authors, and most stay put as authors join.
+ *
+ * @param {string[]} authors - Author names
+ * @returns {Map<string, number>} Hue by slug
+ */
+function getAuthorHues(authors) {
+  const slugs = [...new Set(authors.map(authorSlug))].sort();
+  const minGap = Math.min(30, 180 / slugs.length);
+  const hues = new Map();
+  const taken = [];
+
+  for (const slug of slugs) {
+    let hue = hashString(slug) % 360;
+    const distance = other => Math.min(Math.abs(hue - other), 360 - Math.abs(hue - other));
+    if (taken.some(other => distance(other) < minGap)) {
+      // Middle of the widest gap between taken hues, going round the wheel
+      let widest = { from: 0, size: -1 };
+      taken.forEach((from, i) => {
+        const size = (i + 1 < taken.length ? taken[i + 1] : taken[0] + 360) - from;
+        if (size > widest.size) widest = { from, size };
+      });
+      hue = Math.round(widest.from + widest.size / 2) % 360;
+    }
+    hues.set(slug, hue);
+    taken.push(hue);
+    taken.sort((a, b) => a - b);
+  }
+  return hues;
+}
+
+/**
+ * 32-bit FNV-1a hash.
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
 }
 
 function escapeHtml(str) {
@@ -262,4 +3260,29 @@ function escapeHtml(str) {
 }
 
 // Default export for simple usage
-export default { computeDeepDiff, renderWithMarkers, deepDiffHtml, getDefaultStyles };
+export default {
+  computeDeepDiff,
+  computeDeepDiffAsync,
+  computeDeepDiffInWorker,
+  computeDeepDiffFromOperations,
+  DeepDiffSession,
+  computeDeepDiffTimeline,
+  createDiffMatchPatchEngine,
+  coalesceMarkers,
+  convertOffset,
+  offsetToByte,
+  offsetToLineColumn,
+  serializeDeepDiff,
+  deserializeDeepDiff,
+  renderWithMarkers,
+  deepDiffHtml,
+  deepDiffReport,
+  renderAnsi,
+  getDepthMap,
+  getMarkerLineRanges,
+  getLineChurn,
+  getMarkerWeights,
+  getDefaultStyles,
+  getAuthorStyles,
+  getAuthorClassName
+};
@@ -0,0 +1,29 @@
+/**
+ * deep-diffs - Web Worker entry
+ *
+ * Loaded as a module worker, it answers the messages below by running
+ * computeDeepDiffAsync. Drive it with computeDeepDiffInWorker, or post
+ * messages directly.
+ */
+
+import type { ComputeOptions, MarkerEvent, Revision } from './deep-diff';
+
+/** Messages the worker accepts */
+export type WorkerRequest =
+  | { type: 'compute'; id: number; revisions: Revision[]; options?: ComputeOptions }
+  | { type: 'abort'; id: number };
+
+/** Messages the worker replies with; a result's `data` is serializeDeepDiff output */
+export type WorkerReply =
+  | { type: 'progress'; id: number; completed: number; total: number }
+  | { type: 'result'; id: number; data: string; events?: MarkerEvent[] }
+  | { type: 'error'; id: number; name: string; message: string };
+
+/**
+ * Create a handler for the messages a worker receives, replying through
+ * `post`. Kept apart from the worker global so it can run anywhere.
+ *
+ * @param post - Sends a reply message
+ * @returns Handler taking a received message; other messages are ignored
+ */
+export function createWorkerHandler(post: (message: WorkerReply) => void): (message: WorkerRequest) => Promise<void>;
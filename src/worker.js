@@ -0,0 +1,64 @@
+/**
+ * deep-diffs - Web Worker entry
+ *
+ * Runs computeDeepDiffAsync off the main thread. Drive it with
+ * computeDeepDiffInWorker, or post messages directly:
+ *
+ *   → { type: 'compute', id, revisions, options }
+ *   → { type: 'abort', id }
+ *   ← { type: 'progress', id, completed, total }
+ *   ← { type: 'result', id, data, events? }  (data: serializeDeepDiff output)
+ *   ← { type: 'error', id, name, message }
+ *
+ * @license MIT
+ */
+
+import { computeDeepDiffAsync, serializeDeepDiff } from './deep-diff.js';
+
+/**
+ * Create a handler for the messages a worker receives, replying through
+ * `post`. Kept apart from the worker global so it can run anywhere.
+ *
+ * @param {Function} post - Sends a reply message
+ * @returns {Function} Handler taking a received message
+ */
+export function createWorkerHandler(post) {
+  const running = new Map();  // Request id -> AbortController
+
+  return async message => {
+    const { type, id } = message ?? {};
+
+    if (type === 'abort') {
+      running.get(id)?.abort();
+      return;
+    }
+    if (type !== 'compute') return;
+
+    const controller = new AbortController();
+    running.set(id, controller);
+    try {
+      const { revisions, options = {} } = message;
+      const result = await computeDeepDiffAsync(revisions, {
+        ...options,
+        signal: controller.signal,
+        onProgress: ({ completed, total }) => post({ type: 'progress', id, completed, total })
+      });
+      post({
+        type: 'result',
+        id,
+        data: serializeDeepDiff(result, options),
+        ...(result.events && { events: result.events })
+      });
+    } catch (error) {
+      post({ type: 'error', id, name: error?.name ?? 'Error', message: error?.message ?? String(error) });
+    } finally {
+      running.delete(id);
+    }
+  };
+}
+
+// Inside a worker, answer messages from the page
+if (typeof self !== 'undefined' && typeof self.postMessage === 'function') {
+  const handle = createWorkerHandler(message => self.postMessage(message));
+  self.addEventListener('message', event => handle(event.data));
+}
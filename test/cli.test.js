@@ -0,0 +1,211 @@
+/**
+ * Tests for the deep-diffs command-line tool
+ *
+ * Uses Node.js built-in test runner (node --test)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { run, readGitHistory, readSnapshotDirectory } from '../src/cli.js';
+import { deserializeDeepDiff } from '../src/deep-diff.js';
+
+/**
+ * Run the CLI with captured output.
+ */
+function cli(args, env = {}) {
+  let stdout = '';
+  let stderr = '';
+  const code = run(args, {
+    stdout: { write: chunk => { stdout += chunk; } },
+    stderr: { write: chunk => { stderr += chunk; } },
+    env
+  });
+  return { code, stdout, stderr };
+}
+
+describe('deep-diffs CLI', () => {
+
+  let root;
+  let repo;
+  let snapshots;
+  let markdown;
+
+  before(() => {
+    root = mkdtempSync(join(tmpdir(), 'deep-diffs-cli-'));
+
+    // A repository whose file is renamed partway through its history
+    repo = join(root, 'repo');
+    mkdirSync(join(repo, 'docs'), { recursive: true });
+    const git = (...args) => execFileSync('git', [
+      '-c', 'user.name=Alice', '-c', 'user.email=alice@example.com',
+      '-c', 'commit.gpgsign=false', ...args
+    ], { cwd: repo, stdio: 'pipe' });
+    git('init', '-q');
+    const commit = (file, text, message) => {
+      writeFileSync(join(repo, file), text);
+      git('add', '-A');
+      git('commit', '-q', '-m', message);
+    };
+    commit('docs/draft.txt', 'The client shall pay.', 'First draft');
+    commit('docs/draft.txt', 'The client shall pay within 30 days.', 'Add deadline');
+    git('mv', 'docs/draft.txt', 'docs/contract.txt');
+    git('commit', '-q', '-m', 'Rename');
+    commit('docs/contract.txt', 'The client shall pay within 30 business days.', 'Business days');
+
+    snapshots = join(root, 'snapshots');
+    mkdirSync(snapshots);
+    writeFileSync(join(snapshots, 'draft-10.txt'), 'hello big world');
+    writeFileSync(join(snapshots, 'draft-2.txt'), 'hello world');
+    writeFileSync(join(snapshots, 'draft-1.txt'), 'hello');
+    writeFileSync(join(snapshots, 'notes.txt'), 'not a snapshot');
+
+    markdown = join(root, 'markdown');
+    mkdirSync(markdown);
+    writeFileSync(join(markdown, 'v1.md'), 'x <script>alert(1)</script>');
+    writeFileSync(join(markdown, 'v2.md'), 'x <script>alert(1)</script> y');
+  });
+
+  after(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('reading history', () => {
+
+    it('reads git revisions oldest first, following renames', () => {
+      const revisions = readGitHistory(join(repo, 'docs', 'contract.txt'));
+      assert.deepStrictEqual(revisions.map(r => r.text), [
+        'The client shall pay.',
+        'The client shall pay within 30 days.',
+        'The client shall pay within 30 days.', // Rename
+        'The client shall pay within 30 business days.'
+      ]);
+      assert.strictEqual(revisions[0].author, 'Alice');
+      assert.match(revisions[0].id, /^[0-9a-f]{40}$/);
+      assert.ok(!Number.isNaN(Date.parse(revisions[0].timestamp)));
+    });
+
+    it('limits git history to the last n revisions', () => {
+      const revisions = readGitHistory(join(repo, 'docs', 'contract.txt'), { maxCount: 2 });
+      assert.strictEqual(revisions.length, 2);
+      assert.strictEqual(revisions[0].text, 'The client shall pay within 30 days.');
+    });
+
+    it('reads numbered snapshots in numeric order', () => {
+      const revisions = readSnapshotDirectory(snapshots);
+      assert.deepStrictEqual(revisions.map(r => r.id), ['draft-1.txt', 'draft-2.txt', 'draft-10.txt']);
+    });
+
+  });
+
+  describe('output', () => {
+
+    it('writes a standalone HTML page with inlined styles by default', () => {
+      const { code, stdout } = cli([join(repo, 'docs', 'contract.txt')]);
+      assert.strictEqual(code, 0);
+      assert.ok(stdout.startsWith('<!DOCTYPE html>'));
+      assert.ok(stdout.includes('<title>contract.txt</title>'));
+      assert.ok(stdout.includes('.deep-diff .deep-diff {'));
+      assert.ok(stdout.includes('<ins class="deep-diff">'));
+    });
+
+    it('adds author styles with --by-author', () => {
+      const { stdout } = cli([join(repo, 'docs', 'contract.txt'), '--by-author']);
+      assert.ok(stdout.includes('.deep-diff.deep-diff-author-alice {'));
+      assert.ok(stdout.includes('data-author="Alice"'));
+    });
+
+    it('uses the --palette colours', () => {
+      const { stdout } = cli([join(repo, 'docs', 'contract.txt'), '--palette', 'heat']);
+      assert.ok(stdout.includes('.deep-diff { background-color: rgba(255,235,59, 0.3); }'));
+    });
+
+    it('shows Markdown source as escaped text', () => {
+      const { code, stdout } = cli(['--dir', markdown, '-m', 'markdown']);
+      assert.strictEqual(code, 0);
+      assert.ok(stdout.includes('&lt;script&gt;alert(1)&lt;/script&gt;<ins class="deep-diff"> y</ins>'));
+      assert.ok(!stdout.includes('<script>'));
+    });
+
+    it('writes a full report with --format report', () => {
+      const { code, stdout } = cli([join(repo, 'docs', 'contract.txt'), '-f', 'report', '-t', 'Contract']);
+      assert.strictEqual(code, 0);
+      assert.ok(stdout.includes('<h1>Contract</h1>'));
+      assert.ok(stdout.includes('<h2>Hottest regions</h2>'));
+      assert.ok(stdout.includes('title="Added in '));
+    });
+
+    it('writes ANSI output, honouring NO_COLOR', () => {
+      const file = join(repo, 'docs', 'contract.txt');
+      assert.ok(cli([file, '-f', 'ansi']).stdout.includes('\x1b[48;5;'));
+      assert.ok(cli([file, '-f', 'ansi'], { COLORTERM: 'truecolor' }).stdout.includes('\x1b[48;2;'));
+      assert.strictEqual(
+        cli([file, '-f', 'ansi', '-g', 'word'], { NO_COLOR: '1' }).stdout,
+        'The client shall pay[ within 30 [business ]days].\n'
+      );
+    });
+
+    it('keeps the file\'s own trailing newline', () => {
+      const dir = join(root, 'newline');
+      mkdirSync(dir);
+      writeFileSync(join(dir, '1.txt'), 'hello\n');
+      writeFileSync(join(dir, '2.txt'), 'hello world\n');
+      assert.strictEqual(cli(['--dir', dir, '-f', 'ansi'], { NO_COLOR: '1' }).stdout, 'hello[ world]\n');
+    });
+
+    it('writes a serialized snapshot as JSON', () => {
+      const { stdout } = cli(['--dir', snapshots, '--format', 'json', '--track-deletions']);
+      const restored = deserializeDeepDiff(stdout);
+      assert.strictEqual(restored.text, 'hello big world');
+      assert.strictEqual(restored.options.trackDeletions, true);
+      assert.deepStrictEqual(restored.markers.map(m => m.revision.id), ['draft-2.txt', 'draft-10.txt']);
+    });
+
+    it('writes to a file with --output', () => {
+      const output = join(root, 'out.html');
+      const { code, stdout } = cli(['--dir', snapshots, '-o', output]);
+      assert.strictEqual(code, 0);
+      assert.strictEqual(stdout, '');
+      assert.ok(readFileSync(output, 'utf8').includes('hello<ins class="deep-diff"> <ins class="deep-diff">big </ins>world</ins>'));
+    });
+
+  });
+
+  describe('errors', () => {
+
+    it('prints usage with --help', () => {
+      const { code, stdout } = cli(['--help']);
+      assert.strictEqual(code, 0);
+      assert.ok(stdout.startsWith('Usage: deep-diffs'));
+    });
+
+    it('prints the package version', () => {
+      const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+      assert.strictEqual(cli(['--version']).stdout, `${pkg.version}\n`);
+    });
+
+    it('exits with 2 on bad usage', () => {
+      for (const args of [
+        [], ['a', 'b'], ['a', '--format', 'pdf'], ['a', '-n', '0'], ['--bogus'],
+        ['a', '--color', 'bogus'], ['--dir', 'a', '-n', '2'], ['a', '-g', 'paragraph'],
+        ['a', '-m', 'rst'], ['a', '--palette', 'rainbow']
+      ]) {
+        const { code, stderr } = cli(args);
+        assert.strictEqual(code, 2, args.join(' '));
+        assert.match(stderr, /^deep-diffs: /);
+      }
+    });
+
+    it('exits with 1 when history cannot be read', () => {
+      const { code, stderr } = cli([join(repo, 'docs', 'missing.txt')]);
+      assert.strictEqual(code, 1);
+      assert.match(stderr, /No git history/);
+      assert.strictEqual(cli(['--dir', join(root, 'nowhere')]).code, 1);
+    });
+
+  });
+
+});
@@ -8,9 +8,31 @@ import { describe, it } from 'node:test';
 import assert from 'node:assert';
 import { 
   computeDeepDiff, 
+  computeDeepDiffAsync,
+  computeDeepDiffFromOperations,
+  DeepDiffSession,
+  computeDeepDiffTimeline,
+  serializeDeepDiff,
+  deserializeDeepDiff,
+  createDiffMatchPatchEngine,
+  coalesceMarkers,
+  convertOffset,
+  offsetToByte,
+  offsetToLineColumn,
+  DIFF_DELETE,
+  DIFF_EQUAL,
+  DIFF_INSERT,
   renderWithMarkers, 
   deepDiffHtml, 
-  getDefaultStyles 
+  deepDiffReport,
+  renderAnsi,
+  getDepthMap,
+  getMarkerLineRanges,
+  getLineChurn,
+  getMarkerWeights,
+  getDefaultStyles,
+  getAuthorStyles,
+  getAuthorClassName
 } from '../src/deep-diff.js';
 
 // ============================================================================
@@ -39,9 +61,10 @@ describe('computeDeepDiff', () => {
       assert.strictEqual(result.markers.length, 0);
     });
 
-    it('trims whitespace from revisions', () => {
-      const result = computeDeepDiff(['  hello  ', '  hello world  ']);
-      assert.strictEqual(result.text, 'hello world');
+    it('ignores whitespace edits at either end of revisions', () => {
+      const result = computeDeepDiff(['  hello  ', '\thello world\n']);
+      assert.strictEqual(result.text, '\thello world\n');
+      assert.deepStrictEqual(result.markers.map(m => [m.start, m.end]), [[6, 11]]);
     });
 
   });
@@ -298,279 +321,2336 @@ describe('computeDeepDiff', () => {
 
   });
 
-  describe('edge cases', () => {
+  describe('revision metadata', () => {
 
-    it('handles unicode characters', () => {
-      const result = computeDeepDiff(['hello', 'hello 世界']);
-      assert.strictEqual(result.text, 'hello 世界');
-      assert.strictEqual(result.markers.length, 1);
+    const revisions = [
+      { text: 'The client shall pay.', author: 'alice', timestamp: 1000, id: 'r1' },
+      { text: 'The client shall pay within 30 days.', author: 'bob', timestamp: 2000, id: 'r2' },
+      { text: 'The client shall pay within 30 business days.', author: 'carol', timestamp: 3000, id: 'r3' }
+    ];
+
+    it('accepts revision objects', () => {
+      const result = computeDeepDiff(revisions);
+      assert.strictEqual(result.text, 'The client shall pay within 30 business days.');
+      assert.ok(result.markers.length >= 2);
     });
 
-    it('handles emoji', () => {
-      const result = computeDeepDiff(['hello', 'hello 👋']);
-      assert.strictEqual(result.text, 'hello 👋');
-      assert.ok(result.markers.length >= 1);
+    it('attaches the creating revision to each marker', () => {
+      const { text, markers } = computeDeepDiff(revisions);
+
+      const business = markers.find(m => text.slice(m.start, m.end + 1) === 'business ');
+      assert.ok(business, 'marker for "business " should exist');
+      assert.deepStrictEqual(business.revision, {
+        author: 'carol', timestamp: 3000, id: 'r3', index: 2
+      });
     });
 
-    it('handles newlines', () => {
-      const result = computeDeepDiff(['line1', 'line1\nline2']);
-      assert.ok(result.text.includes('\n'));
+    it('records revisions that later expanded a marker', () => {
+      const { text, markers } = computeDeepDiff(revisions);
+
+      const within = markers.find(m => text.slice(m.start, m.end + 1).includes('within'));
+      assert.strictEqual(within.revision.author, 'bob');
+      assert.deepStrictEqual(within.modifiedBy.map(r => r.author), ['carol']);
     });
 
-    it('handles very long text', () => {
-      const longText = 'a'.repeat(10000);
-      const result = computeDeepDiff([longText, longText + 'b']);
-      assert.strictEqual(result.markers.length, 1);
+    it('records revisions that later contracted a marker', () => {
+      const { markers } = computeDeepDiff([
+        { text: 'hello', author: 'alice' },
+        { text: 'hello beautiful world', author: 'bob' },
+        { text: 'hello world', author: 'carol' }
+      ]);
+
+      assert.strictEqual(markers.length, 1);
+      assert.strictEqual(markers[0].revision.author, 'bob');
+      assert.deepStrictEqual(markers[0].modifiedBy.map(r => r.author), ['carol']);
     });
 
-    it('handles many revisions', () => {
-      const revisions = [];
-      let text = 'start';
-      for (let i = 0; i < 50; i++) {
-        text += ' word' + i;
-        revisions.push(text);
-      }
-      const result = computeDeepDiff(revisions);
-      assert.ok(result.markers.length > 0);
+    it('indexes revisions by their position in the input, including skipped ones', () => {
+      const { markers } = computeDeepDiff(['hello', '', 'hello world']);
+      assert.deepStrictEqual(markers[0].revision, { index: 2 });
+    });
+
+    it('accepts a mix of strings and revision objects', () => {
+      const { markers } = computeDeepDiff(['hello', { text: 'hello world', author: 'dave' }]);
+      assert.strictEqual(markers[0].revision.author, 'dave');
+      assert.deepStrictEqual(markers[0].modifiedBy, []);
     });
 
   });
 
-});
+  describe('deletion tracking', () => {
 
-// ============================================================================
-// renderWithMarkers - Rendering Tests
-// ============================================================================
+    it('returns no tombstones by default', () => {
+      const result = computeDeepDiff(['hello world', 'hello']);
+      assert.deepStrictEqual(result.tombstones, []);
+    });
 
-describe('renderWithMarkers', () => {
+    it('records deleted text at its position in the new text', () => {
+      const { tombstones } = computeDeepDiff(
+        ['hello big world', { text: 'hello world', author: 'alice' }],
+        { trackDeletions: true }
+      );
+      assert.strictEqual(tombstones.length, 1);
+      assert.strictEqual(tombstones[0].position, 6);
+      assert.strictEqual(tombstones[0].text, 'big ');
+      assert.deepStrictEqual(tombstones[0].revision, { author: 'alice', index: 1 });
+    });
 
-  describe('basic rendering', () => {
+    it('shifts tombstones through later edits', () => {
+      const { text, tombstones } = computeDeepDiff([
+        'hello big world',
+        'hello world',
+        'oh hello world'
+      ], { trackDeletions: true });
+      assert.strictEqual(text.slice(tombstones[0].position), 'world');
+    });
 
-    it('returns text unchanged when no markers', () => {
-      const html = renderWithMarkers('hello world', []);
-      assert.strictEqual(html, 'hello world');
+    it('keeps tombstones before text inserted at the same position', () => {
+      const { text, tombstones } = computeDeepDiff([
+        'hello big world',
+        'hello world',
+        'hello small world'
+      ], { trackDeletions: true });
+      const bigTombstone = tombstones.find(t => t.text === 'big ');
+      assert.strictEqual(text.slice(bigTombstone.position), 'small world');
     });
 
-    it('wraps single marker in tags', () => {
-      const markers = [{ start: 0, end: 4, enabled: true }];
-      const html = renderWithMarkers('hello world', markers);
-      assert.strictEqual(html, '<ins class="deep-diff">hello</ins> world');
+    it('collapses tombstones when surrounding text is deleted', () => {
+      const { tombstones } = computeDeepDiff([
+        'one two three four',
+        'one two four',
+        'one four'
+      ], { trackDeletions: true });
+      assert.deepStrictEqual(tombstones.map(t => t.position), [4, 4]);
+      assert.deepStrictEqual(tombstones.map(t => t.text), ['three ', 'two ']);
     });
 
-    it('wraps marker at end of text', () => {
-      const markers = [{ start: 6, end: 10, enabled: true }];
-      const html = renderWithMarkers('hello world', markers);
-      assert.strictEqual(html, 'hello <ins class="deep-diff">world</ins>');
+  });
+
+  describe('move detection', () => {
+
+    const first = 'First paragraph about payment terms and conditions.';
+    const edited = 'First paragraph about payment terms and all conditions.';
+    const second = 'Second paragraph covering liability limits in detail.';
+    const third = 'Third paragraph on termination.';
+
+    it('treats moves as delete plus insert by default', () => {
+      const { markers } = computeDeepDiff([
+        `${first}\n\n${second}\n\n${third}`,
+        `${second}\n\n${first}\n\n${third}`
+      ]);
+      assert.ok(markers.every(m => m.kind === 'insert'));
     });
 
-    it('wraps entire text', () => {
-      const markers = [{ start: 0, end: 4, enabled: true }];
-      const html = renderWithMarkers('hello', markers);
-      assert.strictEqual(html, '<ins class="deep-diff">hello</ins>');
+    it('records a moved block as a move marker', () => {
+      const { text, markers } = computeDeepDiff([
+        `Alpha beta gamma delta. ${second} Mu nu xi.`,
+        `${second} Alpha beta gamma delta. Mu nu xi.`
+      ], { detectMoves: true });
+
+      const moves = markers.filter(m => m.kind === 'move');
+      assert.strictEqual(moves.length, 1);
+      assert.strictEqual(text.slice(moves[0].start, moves[0].end + 1), ' Alpha beta gamma delta.');
+      assert.ok(markers.every(m => m.kind === 'move'), 'surrounding whitespace moves with the block');
     });
 
-  });
+    it('carries markers inside a moved block along with it', () => {
+      const { text, markers } = computeDeepDiff([
+        `${first}\n\n${second}\n\n${third}`,
+        `${edited}\n\n${second}\n\n${third}`,
+        `${second}\n\n${edited}\n\n${third}`
+      ], { detectMoves: true });
 
-  describe('HTML escaping', () => {
+      const all = markers.find(m => m.kind === 'insert' && text.slice(m.start, m.end + 1) === 'all ');
+      assert.ok(all, 'marker for "all " should survive the move');
+      assert.strictEqual(all.revision.index, 1);
 
-    it('escapes angle brackets', () => {
-      const html = renderWithMarkers('<script>alert("xss")</script>', []);
-      assert.ok(!html.includes('<script>'));
-      assert.ok(html.includes('&lt;script&gt;'));
+      const moved = markers.filter(m => m.kind === 'move').map(m => text.slice(m.start, m.end + 1));
+      assert.ok(moved.includes(edited.slice(0, -1)));
+      assert.ok(moved.includes(second.slice(0, -1)));
     });
 
-    it('escapes ampersands', () => {
-      const html = renderWithMarkers('Tom & Jerry', []);
-      assert.ok(html.includes('&amp;'));
+    it('loses the history of moved text without move detection', () => {
+      const { text, markers } = computeDeepDiff([
+        `${first}\n\n${second}\n\n${third}`,
+        `${edited}\n\n${second}\n\n${third}`,
+        `${second}\n\n${edited}\n\n${third}`
+      ]);
+      assert.ok(!markers.some(m => text.slice(m.start, m.end + 1) === 'all '));
     });
 
-    it('escapes quotes', () => {
-      const html = renderWithMarkers('He said "hello"', []);
-      assert.ok(html.includes('&quot;'));
+    it('ignores blocks shorter than minMoveLength', () => {
+      const { markers } = computeDeepDiff([
+        `Alpha beta gamma delta. ${second} Mu nu xi.`,
+        `${second} Alpha beta gamma delta. Mu nu xi.`
+      ], { detectMoves: true, minMoveLength: 40 });
+      assert.ok(markers.every(m => m.kind === 'insert'));
     });
 
-    it('escapes within marked regions', () => {
-      const markers = [{ start: 0, end: 2, enabled: true }];
-      const html = renderWithMarkers('<b>', markers);
-      assert.ok(html.includes('&lt;b&gt;'));
+    it('does not leave tombstones for moved text', () => {
+      const { tombstones } = computeDeepDiff([
+        `Alpha beta gamma delta. ${second} Mu nu xi.`,
+        `${second} Alpha beta gamma delta. Mu nu xi.`
+      ], { detectMoves: true, trackDeletions: true });
+      assert.deepStrictEqual(tombstones, []);
     });
 
   });
 
-  describe('multiple markers', () => {
+  describe('granularity', () => {
 
-    it('renders non-overlapping markers', () => {
-      const markers = [
-        { start: 0, end: 4, enabled: true },
-        { start: 6, end: 10, enabled: true }
-      ];
-      const html = renderWithMarkers('hello world', markers);
-      assert.ok(html.includes('<ins class="deep-diff">hello</ins>'));
-      assert.ok(html.includes('<ins class="deep-diff">world</ins>'));
+    const marked = ({ text, markers }) =>
+      markers.map(m => text.slice(m.start, m.end + 1)).sort();
+
+    it('diffs by character by default', () => {
+      const result = computeDeepDiff(['The cat sat.', 'The car sat.']);
+      assert.deepStrictEqual(marked(result), ['r']);
     });
 
-    it('renders nested/overlapping markers', () => {
-      const markers = [
-        { start: 0, end: 10, enabled: true },
-        { start: 6, end: 10, enabled: true }
-      ];
-      const html = renderWithMarkers('hello world', markers);
-      
-      const insCount = (html.match(/<ins/g) || []).length;
-      assert.strictEqual(insCount, 2, 'should have 2 opening ins tags');
+    it('keeps markers on whole words with word granularity', () => {
+      const result = computeDeepDiff(
+        ['The cat sat on the mat.', 'The car sat on the big mat.'],
+        { granularity: 'word' }
+      );
+      assert.deepStrictEqual(marked(result), ['big ', 'car']);
     });
 
-  });
+    it('treats punctuation as separate words', () => {
+      const result = computeDeepDiff(['Hello world', 'Hello, world!'], { granularity: 'word' });
+      assert.deepStrictEqual(marked(result), [',', '!'].sort());
+    });
 
-  describe('options', () => {
+    it('marks whole lines with line granularity', () => {
+      const result = computeDeepDiff(
+        ['const a = 1;\nconst b = 2;\nreturn a;', 'const a = 1;\nconst b = 3;\nreturn a;'],
+        { granularity: 'line' }
+      );
+      assert.deepStrictEqual(marked(result), ['const b = 3;\n']);
+    });
 
-    it('uses custom tag name', () => {
-      const markers = [{ start: 0, end: 4, enabled: true }];
-      const html = renderWithMarkers('hello', markers, { tagName: 'mark' });
-      assert.ok(html.includes('<mark'));
-      assert.ok(html.includes('</mark>'));
-      assert.ok(!html.includes('<ins'));
+    it('marks whole sentences with sentence granularity', () => {
+      const result = computeDeepDiff(
+        ['Payment is due. Fees apply! Is that clear?', 'Payment is due. Late fees apply! Is that clear?'],
+        { granularity: 'sentence' }
+      );
+      assert.deepStrictEqual(marked(result), ['Late fees apply! ']);
     });
 
-    it('uses custom class name', () => {
-      const markers = [{ start: 0, end: 4, enabled: true }];
-      const html = renderWithMarkers('hello', markers, { className: 'changed' });
-      assert.ok(html.includes('class="changed"'));
-      assert.ok(!html.includes('deep-diff'));
+    it('tracks markers across revisions at word granularity', () => {
+      const result = computeDeepDiff([
+        'The client shall pay.',
+        'The client shall pay within 30 days.',
+        'The client shall pay within 30 business days.'
+      ], { granularity: 'word' });
+      assert.deepStrictEqual(marked(result), [' within 30 business days', 'business ']);
     });
 
-    it('omits class when className is empty', () => {
-      const markers = [{ start: 0, end: 4, enabled: true }];
-      const html = renderWithMarkers('hello', markers, { className: '' });
-      assert.ok(html.includes('<ins>'));
-      assert.ok(!html.includes('class='));
+    it('handles more distinct tokens than fit in the encoding', () => {
+      const words = Array.from({ length: 70000 }, (_, i) => 'w' + i).join(' ');
+      const result = computeDeepDiff([words, words + ' extra'], { granularity: 'word' });
+      assert.strictEqual(result.text, words + ' extra');
+      assert.ok(result.markers.length > 0);
+      assert.ok(result.markers.every(m => m.end === result.text.length - 1));
+    });
+
+    it('diffs chained revisions as it diffs each pair on its own', () => {
+      const words = ['the', 'fee', 'shall', 'be', 'paid', 'annually', ',', 'in', 'full', '.\n'];
+      const revisions = ['the fee shall be paid.'];
+      for (let i = 0; i < 200; i++) {
+        const tokens = revisions[revisions.length - 1].split(' ');
+        const at = (i * 13) % tokens.length;
+        tokens.splice(at, i % 4 === 0 ? 1 : 0, words[(i * 7) % words.length]);
+        revisions.push(tokens.join(' '));
+      }
+
+      const result = computeDeepDiff(revisions, { granularity: 'word', events: true });
+      for (let i = 1; i < revisions.length; i++) {
+        const created = result.events
+          .filter(e => e.type === 'create' && e.revision.index === i)
+          .map(e => [e.after.start, e.after.end]);
+        const pair = computeDeepDiff([revisions[i - 1], revisions[i]], { granularity: 'word' });
+        assert.deepStrictEqual(created, pair.markers.map(m => [m.start, m.end]), `revision ${i}`);
+      }
+    });
+
+    it('rejects unknown granularities', () => {
+      assert.throws(() => computeDeepDiff(['a', 'b'], { granularity: 'paragraph' }), TypeError);
     });
 
   });
 
-  describe('edge cases', () => {
+  describe('markup formats', () => {
 
-    it('handles empty text', () => {
-      const html = renderWithMarkers('', []);
-      assert.strictEqual(html, '');
+    const marked = ({ text, markers }) => markers.map(m => text.slice(m.start, m.end + 1));
+
+    it('diffs the text content of HTML and returns the source', () => {
+      const result = computeDeepDiff(
+        ['<p class="a">Terms &amp; conditions</p>', '<p class="b">Terms &amp; <b>new</b> conditions</p>'],
+        { format: 'html' }
+      );
+      assert.strictEqual(result.text, 'Terms & new conditions');
+      assert.strictEqual(result.source, '<p class="b">Terms &amp; <b>new</b> conditions</p>');
+      assert.deepStrictEqual(marked(result), [' new']);
     });
 
-    it('handles marker at position 0 with length 1', () => {
-      const markers = [{ start: 0, end: 0, enabled: true }];
-      const html = renderWithMarkers('a', markers);
-      assert.strictEqual(html, '<ins class="deep-diff">a</ins>');
+    it('ignores changes to markup only', () => {
+      const result = computeDeepDiff(
+        ['<p>Pay now.</p>', '<div class="x"><p>Pay <em>now</em>.</p></div>'],
+        { format: 'html' }
+      );
+      assert.strictEqual(result.markers.length, 0);
+      assert.strictEqual(result.text, 'Pay now.');
     });
 
-    it('filters disabled markers', () => {
-      const markers = [
-        { start: 0, end: 4, enabled: false },
-        { start: 6, end: 10, enabled: true }
-      ];
-      const html = renderWithMarkers('hello world', markers);
-      
-      const insCount = (html.match(/<ins/g) || []).length;
-      assert.strictEqual(insCount, 1, 'should only render enabled markers');
+    it('drops Markdown syntax from the text content', () => {
+      const result = computeDeepDiff([
+        '# Terms\n\nThe client shall pay.',
+        '# Terms\n\n- The **client** shall pay [promptly](https://example.com).'
+      ], { format: 'markdown' });
+      assert.strictEqual(result.text, 'Terms\n\nThe client shall pay promptly.');
+      assert.deepStrictEqual(marked(result), [' promptly']);
+    });
+
+    it('keeps literal asterisks, underscores and escapes as text', () => {
+      const { text } = computeDeepDiff(['2 * 3 in snake_case \\*not bold\\* `a*b`'], { format: 'markdown' });
+      assert.strictEqual(text, '2 * 3 in snake_case *not bold* a*b');
+    });
+
+    it('keeps fenced code as text', () => {
+      const { text } = computeDeepDiff(['Intro\n```js\nconst a = **b**;\n```'], { format: 'markdown' });
+      assert.strictEqual(text, 'Intro\n\nconst a = **b**;\n');
+    });
+
+    it('rejects unknown formats', () => {
+      assert.throws(() => computeDeepDiff(['a'], { format: 'rtf' }), TypeError);
     });
 
   });
 
-});
+  describe('diff engines', () => {
 
-// ============================================================================
-// deepDiffHtml - Integration Tests
-// ============================================================================
+    const marked = ({ text, markers }) => markers.map(m => text.slice(m.start, m.end + 1));
 
-describe('deepDiffHtml', () => {
+    // Replaces the whole text every time
+    const replaceAll = (before, after) => [[DIFF_DELETE, before], [DIFF_INSERT, after]];
 
-  it('combines compute and render', () => {
-    const html = deepDiffHtml(['hello', 'hello world']);
-    assert.ok(html.includes('<ins'));
-    assert.ok(html.includes('world'));
-  });
+    it('exports the diff operation codes', () => {
+      assert.deepStrictEqual([DIFF_DELETE, DIFF_EQUAL, DIFF_INSERT], [-1, 0, 1]);
+    });
 
-  it('passes options through', () => {
-    const html = deepDiffHtml(['hello', 'hello world'], { 
-      tagName: 'mark',
-      className: 'diff'
+    it('accepts an engine function', () => {
+      const result = computeDeepDiff(['hello', 'hello world'], { engine: replaceAll });
+      assert.deepStrictEqual(marked(result), ['hello world']);
     });
-    assert.ok(html.includes('<mark'));
-    assert.ok(html.includes('class="diff"'));
-  });
 
-  it('handles the full original test case', () => {
-    const revisions = [
-      'Metamorphosis is physical development of the individual after birth or hatching involving significant change in form as well as growth and differentiation. Metamorphosis usually accompanies a change of habitat or of habits. In some species, however, it is merely development through a series of forms which may represent ancestral stages of the species; see ontogeny recapitulates phylogeny.',
-      'Metamorphosis in biology is physical development of the individual after birth or hatching involving significant change in form as well as growth and differentiation. It usually accompanies a change of habitat or of habits but may occur without such change. It was once thought that in those cases where the animal habitat remains unchanged metamorphosis followed a series of forms representing evolutionary ancestors of the species in question (see ontogeny recapitulates phylogeny), but this is no longer thought to be the case.',
-      'Metamorphosis in cosmology is a physical development of the individual after birth or hatching involving significant change in form as well as growth and differentiation. It usually accompanies a change of habitat or of habits but may occur without such change. It was once thought that in those cases where the animal habitat remains unchanged metamorphosis followed a series of forms representing evolutionary ancestors of the species in question (see ontogeny recapitulates phylogeny), but this is no longer thought to be the case.',
-      'Metamorphosis in cosmology is physical development of the individual after birth or hatching involving significant change in form as well as growth and differentiation. It usually accompanies a change of habitat or of habits but may occur without such change. I put in a new sentence here, yo. It was once thought that in those cases where the animal habitat remains unchanged metamorphosis followed a series of forms representing evolutionary ancestors of the species in question (see ontogeny recapitulates phylogeny), but this is no longer thought to be the case.',
-      'Metamorphosis in cosmology is physical development of the individual after birth or hatching involving significant change in form as well as growth and differentiation. It usually accompanies a change of habitat or of habits but may occur without such change. I put in a new bunch of words here, yo. It was once thought that in those cases where the animal habitat remains unchanged metamorphosis followed a series of forms representing evolutionary ancestors of the species in question (see ontogeny recapitulates phylogeny), but this is no longer thought to be the case.',
-      'Metamorphosis in cosmology is physical development of the individual after birth or hatching involving significant change in form as well as growth and differentiation. It usually accompanies a change of habitat or of habits but may occur without such change. I put in a new collection of words here, yo. It was once thought that in those cases where the animal habitat remains unchanged metamorphosis followed a series of forms representing evolutionary ancestors of the species in question (see ontogeny recapitulates phylogeny), but this is no longer thought to be the case.'
-    ];
+    it('accepts an engine object and passes it the revision', () => {
+      // Precomputed diffs, keyed by revision id
+      const engine = {
+        diffs: { r2: [[DIFF_EQUAL, 'hello'], [DIFF_INSERT, ' big'], [DIFF_EQUAL, ' world']] },
+        diff(before, after, revision) {
+          return this.diffs[revision.id];
+        }
+      };
+      const result = computeDeepDiff([
+        { text: 'hello world', id: 'r1' },
+        { text: 'hello big world', id: 'r2' }
+      ], { engine });
+      assert.deepStrictEqual(marked(result), [' big']);
+    });
 
-    const html = deepDiffHtml(revisions);
-    
-    assert.ok(html.includes('<ins'));
-    // Note: "cosmology" may be split by tags (e.g., <ins>cosm</ins>ology)
-    // because only the changed portion "cosm" (replacing "bi" from "biology") is marked
-    const textContent = html.replace(/<[^>]+>/g, '');
-    assert.ok(textContent.includes('cosmology'), 'text should contain cosmology');
-    assert.ok(textContent.includes('collection'), 'text should contain collection');
-    
-    const opens = (html.match(/<ins/g) || []).length;
-    const closes = (html.match(/<\/ins>/g) || []).length;
-    assert.strictEqual(opens, closes, 'ins tags should be balanced');
-  });
+    it('runs token granularities through the engine', () => {
+      const seen = [];
+      const engine = (before, after) => {
+        seen.push([before.length, after.length]);
+        return replaceAll(before, after);
+      };
+      const result = computeDeepDiff(['one two', 'one two three'], { engine, granularity: 'word' });
+      assert.deepStrictEqual(seen, [[3, 5]]);
+      assert.deepStrictEqual(marked(result), ['one two three']);
+    });
 
-});
+    it('rejects engine output that does not match the texts', () => {
+      const wrong = () => [[DIFF_INSERT, 'something else']];
+      assert.throws(() => computeDeepDiff(['a', 'b'], { engine: wrong }), /does not reproduce/);
+      const malformed = () => [[2, 'b']];
+      assert.throws(() => computeDeepDiff(['a', 'b'], { engine: malformed }), /invalid operation/);
+      assert.throws(() => computeDeepDiff(['a', 'b'], { engine: () => null }), /did not return an array/);
+    });
 
-// ============================================================================
-// getDefaultStyles - CSS Generation Tests
-// ============================================================================
+    it('rejects engines without a diff function', () => {
+      assert.throws(() => new DeepDiffSession({ engine: {} }), TypeError);
+    });
 
-describe('getDefaultStyles', () => {
+    it('exposes the cleanup passes and edit cost', () => {
+      assert.deepStrictEqual(marked(computeDeepDiff(['a mouse here', 'a sofas here'])), ['sofas']);
+      assert.deepStrictEqual(marked(computeDeepDiff(['a mouse here', 'a sofas here'], { cleanup: false })), ['s', 'fa']);
 
-  it('generates valid CSS', () => {
-    const css = getDefaultStyles();
-    assert.ok(css.includes('.deep-diff'));
-    assert.ok(css.includes('background-color'));
-    assert.ok(css.includes('rgba'));
-  });
+      const revisions = ['The quick brown fox jumps', 'The quack brawn fix jumped'];
+      assert.strictEqual(computeDeepDiff(revisions).markers.length, 4);
+      assert.deepStrictEqual(marked(computeDeepDiff(revisions, { editCost: 8 })), ['ack brawn fix jumped']);
+    });
 
-  it('generates base style', () => {
-    const css = getDefaultStyles(1);
-    assert.ok(css.includes('.deep-diff {'));
-  });
+    it('rejects unknown cleanup passes', () => {
+      assert.throws(() => createDiffMatchPatchEngine({ cleanup: ['tidy'] }), TypeError);
+      assert.throws(() => computeDeepDiff(['a'], { cleanup: ['tidy'] }), TypeError);
+    });
 
-  it('generates nested selectors up to maxDepth', () => {
-    const css = getDefaultStyles(3);
-    
-    assert.ok(css.includes('.deep-diff {'));
-    assert.ok(css.includes('.deep-diff .deep-diff {'));
-    assert.ok(css.includes('.deep-diff .deep-diff .deep-diff {'));
-  });
+    it('creates standalone diff-match-patch engines', () => {
+      const engine = createDiffMatchPatchEngine();
+      assert.deepStrictEqual(engine.diff('a mouse', 'a sofas'), [[DIFF_EQUAL, 'a '], [DIFF_DELETE, 'mouse'], [DIFF_INSERT, 'sofas']]);
+    });
 
-  it('increases intensity with nesting depth', () => {
-    const css = getDefaultStyles(3);
-    
-    const opacities = css.match(/rgba\([^)]+,\s*([\d.]+)\)/g);
-    assert.ok(opacities.length >= 3, 'should have multiple rgba values');
   });
 
-  it('respects maxDepth parameter', () => {
-    const css2 = getDefaultStyles(2);
-    const css5 = getDefaultStyles(5);
-    
-    assert.ok(css5.length > css2.length, 'more depth should produce more CSS');
-  });
+  describe('coalescing', () => {
 
-  it('defaults to depth 5', () => {
-    const cssDefault = getDefaultStyles();
-    const css5 = getDefaultStyles(5);
-    
-    assert.strictEqual(cssDefault, css5);
-  });
+    const marked = ({ text, markers }) => markers.map(m => [text.slice(m.start, m.end + 1), m.revision.index]);
 
-});
+    // Autosaves a minute apart, then a final edit the next day
+    const autosaves = [
+      { text: 'Dear', author: 'ann', timestamp: '2024-01-01T10:00:00Z' },
+      { text: 'Dear Sir,', author: 'ann', timestamp: '2024-01-01T10:01:00Z' },
+      { text: 'Dear Sir, thanks', author: 'ann', timestamp: '2024-01-01T10:02:00Z' },
+      { text: 'Dear Sir, thanks.', author: 'ann', timestamp: '2024-01-02T10:00:00Z' }
+    ];
+
+    it('keeps one marker per insertion by default', () => {
+      assert.deepStrictEqual(marked(computeDeepDiff(autosaves)), [[' Sir,', 1], [' thanks', 2], ['.', 3]]);
+    });
+
+    it('merges touching markers by the same author within a time window', () => {
+      const result = computeDeepDiff(autosaves, { coalesce: { author: true, window: 5 * 60 * 1000 } });
+      assert.deepStrictEqual(marked(result), [[' Sir, thanks', 1], ['.', 3]]);
+      assert.deepStrictEqual(result.markers[0].modifiedBy.map(r => r.index), [2]);
+    });
+
+    it('measures the window in revisions', () => {
+      const result = computeDeepDiff(autosaves, { coalesce: { author: true, window: 2, by: 'revision' } });
+      assert.deepStrictEqual(marked(result), [[' Sir, thanks.', 1]]);
+    });
+
+    it('never merges different authors', () => {
+      const revisions = autosaves.map((r, i) => ({ ...r, author: i % 2 ? 'ann' : 'bob' }));
+      assert.strictEqual(computeDeepDiff(revisions, { coalesce: { author: true } }).markers.length, 3);
+    });
+
+    it('merges touching markers from the same revision', () => {
+      // Two insertions either side of a character that is later deleted
+      const changes = [['X', 1, 'Y'], [1, -1]];
+      assert.deepStrictEqual(marked(computeDeepDiffFromOperations('c', changes)), [['X', 1], ['Y', 1]]);
+      assert.deepStrictEqual(marked(computeDeepDiffFromOperations('c', changes, { coalesce: { revision: true } })), [['XY', 1]]);
+    });
+
+    it('collapses markers contained in one by the same author', () => {
+      const revisions = [
+        { text: 'Pay.', author: 'ann' },
+        { text: 'Pay the fee.', author: 'ann' },
+        { text: 'Pay the annual fee.', author: 'ann' }
+      ];
+      assert.strictEqual(computeDeepDiff(revisions).markers.length, 2);
+      const result = computeDeepDiff(revisions, { coalesce: { contained: true } });
+      assert.deepStrictEqual(marked(result), [[' the annual fee', 1]]);
+    });
+
+    it('collapses contained markers without authors, but not across authors', () => {
+      const texts = ['Pay.', 'Pay the fee.', 'Pay the annual fee.'];
+      const result = computeDeepDiff(texts, { coalesce: { contained: true } });
+      assert.deepStrictEqual(marked(result), [[' the annual fee', 1]]);
+
+      const authored = texts.map((text, i) => ({ text, author: i === 2 ? 'bob' : 'ann' }));
+      assert.strictEqual(computeDeepDiff(authored, { coalesce: { contained: true } }).markers.length, 2);
+    });
+
+    it('accepts a custom predicate', () => {
+      const result = computeDeepDiff(['a', 'a b', 'a b c'], { coalesce: (a, b) => a.kind === b.kind });
+      assert.deepStrictEqual(marked(result), [[' b c', 1]]);
+    });
+
+    it('logs merges', () => {
+      const { events } = computeDeepDiff(autosaves, { coalesce: { author: true }, events: true });
+      const merges = events.filter(e => e.type === 'merge');
+      assert.deepStrictEqual(merges.map(e => [e.markerId, e.into, e.revision.index]), [[1, 0, 2], [2, 0, 3]]);
+      assert.deepStrictEqual(merges[0].after, { start: 4, end: 15 });
+    });
+
+    it('rejects unknown window bases', () => {
+      assert.throws(() => computeDeepDiff(['a'], { coalesce: { author: true, by: 'day' } }), TypeError);
+    });
+
+  });
+
+  describe('whitespace', () => {
+
+    const marked = ({ text, markers }) => markers.map(m => text.slice(m.start, m.end + 1));
+
+    it('reports offsets against the untrimmed final revision', () => {
+      const result = computeDeepDiff(['\n\nThe fee.\n', '\n\nThe annual fee.\n'], { trackDeletions: true });
+      assert.strictEqual(result.text, '\n\nThe annual fee.\n');
+      assert.deepStrictEqual(marked(result), ['annual ']);
+    });
+
+    it('makes no markers or tombstones for edge whitespace when trimming', () => {
+      const result = computeDeepDiff(['  a b  ', 'a b\n\n'], { trackDeletions: true });
+      assert.deepStrictEqual(result.markers, []);
+      assert.deepStrictEqual(result.tombstones, []);
+    });
+
+    it('counts every change when preserving', () => {
+      const result = computeDeepDiff(['a b', '  a b\n'], { whitespace: 'preserve' });
+      assert.deepStrictEqual(marked(result), ['  ', '\n']);
+    });
+
+    it('normalizes line endings', () => {
+      const revisions = ['one\r\ntwo', 'one\ntwo\rthree'];
+      const result = computeDeepDiff(revisions, { whitespace: 'normalize' });
+      assert.strictEqual(result.text, 'one\ntwo\nthree');
+      assert.deepStrictEqual(marked(result), ['\nthree']);
+      assert.deepStrictEqual(marked(computeDeepDiff(revisions, { whitespace: 'preserve' })), ['\rthree']);
+    });
+
+    it('ignores whitespace-only changes when creating markers', () => {
+      const revisions = ['The  fee.', 'The fee.\n', 'The fee.\n\nDue now.'];
+      const result = computeDeepDiff(revisions, { whitespace: 'ignore', trackDeletions: true });
+      assert.deepStrictEqual(marked(result), ['\nDue now.']);
+      assert.deepStrictEqual(result.tombstones, []);
+    });
+
+    it('still moves markers through ignored whitespace', () => {
+      const result = computeDeepDiff(['a', 'a b', '   a b'], { whitespace: 'ignore' });
+      assert.deepStrictEqual(marked(result), [' b']);
+    });
+
+    it('skips whitespace-only revisions as empty', () => {
+      const result = computeDeepDiff(['a', '  \n', 'a b'], { whitespace: 'preserve' });
+      assert.deepStrictEqual(marked(result), [' b']);
+    });
+
+    it('rejects unknown policies', () => {
+      assert.throws(() => computeDeepDiff(['a'], { whitespace: 'squash' }), TypeError);
+    });
+
+  });
+
+  describe('offsets', () => {
+
+    it('never splits a surrogate pair', () => {
+      // 😀 and 😁 share their high surrogate
+      const result = computeDeepDiff(['say 😀 now', 'say 😁 now']);
+      assert.strictEqual(result.markers.length, 1);
+      assert.strictEqual(result.markers[0].start, 4);
+      assert.strictEqual(result.markers[0].end, 5);
+    });
+
+    it('counts code points', () => {
+      const result = computeDeepDiff(['😀 a', '😀 a b'], { offsets: 'codepoint' });
+      assert.strictEqual(result.markers[0].start, 3);
+      assert.strictEqual(result.markers[0].end, 4);
+    });
+
+    it('counts grapheme clusters and keeps them whole', () => {
+      // Adding a combining accent changes the whole cluster
+      const result = computeDeepDiff(['cafe au lait', 'cafe\u0301 au lait'], { offsets: 'grapheme' });
+      assert.strictEqual(result.markers.length, 1);
+      assert.strictEqual(result.markers[0].start, 3);
+      assert.strictEqual(result.markers[0].end, 3);
+
+      const family = '\u{1F468}\u200D\u{1F469}\u200D\u{1F467}';
+      const grown = computeDeepDiff(['hi', `hi ${family}`], { offsets: 'grapheme' });
+      assert.strictEqual(grown.markers[0].start, 2);
+      assert.strictEqual(grown.markers[0].end, 3);
+    });
+
+    it('converts tombstones', () => {
+      const result = computeDeepDiff(['😀😀 gone here', '😀😀 here'], { offsets: 'codepoint', trackDeletions: true });
+      assert.strictEqual(result.tombstones[0].position, 2);
+      assert.strictEqual(result.tombstones[0].text, ' gone');
+    });
+
+    it('reports in the chosen unit from a session', () => {
+      const session = new DeepDiffSession({ offsets: 'codepoint', keepHistory: true })
+        .push('😀 a')
+        .push('😀 a b');
+      assert.strictEqual(session.markers[0].start, 3);
+      assert.strictEqual(session.snapshot().markers[0].start, 3);
+      assert.strictEqual(session.at(1).markers[0].start, 3);
+
+      // Internally still UTF-16, so later revisions line up
+      session.push('x😀 a b');
+      assert.deepStrictEqual(session.markers.map(m => [m.start, m.end]), [[4, 5], [0, 0]]);
+    });
+
+    it('rejects unknown units', () => {
+      assert.throws(() => computeDeepDiff(['a'], { offsets: 'bytes' }), /Unknown offset unit "bytes"/);
+    });
+
+  });
+
+  describe('event log', () => {
+
+    const summary = ({ events }) => events.map(e => [e.revision.index, e.type, e.markerId]);
+
+    it('is only returned when asked for', () => {
+      assert.ok(!('events' in computeDeepDiff(['a', 'ab'])));
+      assert.deepStrictEqual(computeDeepDiff(['a'], { events: true }).events, []);
+    });
+
+    it('records created markers with the insertion behind them', () => {
+      const { events } = computeDeepDiff(['hello world', 'hello big world'], { events: true });
+      assert.deepStrictEqual(events, [{
+        type: 'create',
+        markerId: 0,
+        op: [1, 'big '],
+        before: null,
+        after: { start: 6, end: 9 },
+        revision: { index: 1 }
+      }]);
+    });
+
+    it('records shifts and contractions with before and after ranges', () => {
+      const result = computeDeepDiff([
+        'The client shall pay.',
+        'The client shall promptly pay.',
+        'The big client shall pay in full.'
+      ], { events: true });
+
+      assert.deepStrictEqual(summary(result).slice(0, 3), [[1, 'create', 0], [2, 'shift', 0], [2, 'contract', 0]]);
+      const [, shift, contract] = result.events;
+      assert.deepStrictEqual(shift.op, [1, 'big ']);
+      assert.deepStrictEqual(shift.before, { start: 17, end: 25 });
+      assert.deepStrictEqual(shift.after, { start: 21, end: 29 });
+      assert.deepStrictEqual(contract.op, [-1, 'romptly pay']);
+      assert.deepStrictEqual(contract.before, shift.after);
+    });
+
+    it('records expansions', () => {
+      const { events } = computeDeepDiff(['hello world', 'hello big world', 'hello bigger world'], { events: true });
+      const expand = events.find(e => e.type === 'expand');
+      assert.deepStrictEqual(expand.op, [1, 'ger']);
+      assert.deepStrictEqual([expand.before, expand.after], [{ start: 6, end: 9 }, { start: 6, end: 12 }]);
+    });
+
+    it('records subsumed markers', () => {
+      const { events } = computeDeepDiff(['hello', 'hello world', 'hello'], { events: true });
+      assert.deepStrictEqual(events[1], {
+        type: 'subsume',
+        markerId: 0,
+        op: [-1, ' world'],
+        before: { start: 5, end: 10 },
+        after: null,
+        revision: { index: 2 }
+      });
+    });
+
+    it('records markers carried by a move with the move itself', () => {
+      const first = 'First paragraph about payment terms and conditions.';
+      const edited = 'First paragraph about payment terms and all conditions.';
+      const second = 'Second paragraph covering liability limits in detail.';
+      const { events } = computeDeepDiff([
+        `${first}\n\n${second}`,
+        `${edited}\n\n${second}`,
+        `${second}\n\n${edited}`
+      ], { events: true, detectMoves: true });
+
+      const move = events.find(e => e.type === 'move');
+      assert.strictEqual(move.markerId, 0);
+      assert.strictEqual(move.op.to - move.op.from, move.after.start - move.before.start);
+    });
+
+  });
+
+  describe('edge cases', () => {
+
+    it('handles unicode characters', () => {
+      const result = computeDeepDiff(['hello', 'hello 世界']);
+      assert.strictEqual(result.text, 'hello 世界');
+      assert.strictEqual(result.markers.length, 1);
+    });
+
+    it('handles emoji', () => {
+      const result = computeDeepDiff(['hello', 'hello 👋']);
+      assert.strictEqual(result.text, 'hello 👋');
+      assert.ok(result.markers.length >= 1);
+    });
+
+    it('handles newlines', () => {
+      const result = computeDeepDiff(['line1', 'line1\nline2']);
+      assert.ok(result.text.includes('\n'));
+    });
+
+    it('handles very long text', () => {
+      const longText = 'a'.repeat(10000);
+      const result = computeDeepDiff([longText, longText + 'b']);
+      assert.strictEqual(result.markers.length, 1);
+    });
+
+    it('handles many revisions', () => {
+      const revisions = [];
+      let text = 'start';
+      for (let i = 0; i < 50; i++) {
+        text += ' word' + i;
+        revisions.push(text);
+      }
+      const result = computeDeepDiff(revisions);
+      assert.ok(result.markers.length > 0);
+    });
+
+  });
+
+});
+
+// ============================================================================
+// coalesceMarkers - Marker Coalescing Tests
+// ============================================================================
+
+describe('coalesceMarkers', () => {
+
+  const revisions = [
+    { text: 'Dear', author: 'ann' },
+    { text: 'Dear Sir,', author: 'ann' },
+    { text: 'Dear Sir, thanks', author: 'ann' }
+  ];
+
+  it('coalesces an existing result without changing it', () => {
+    const { text, markers } = computeDeepDiff(revisions);
+    const coalesced = coalesceMarkers(markers, { author: true });
+    assert.deepStrictEqual(coalesced.map(m => text.slice(m.start, m.end + 1)), [' Sir, thanks']);
+    assert.strictEqual(markers.length, 2);
+    assert.strictEqual(markers[0].end, 8);
+  });
+
+  it('keeps the older marker\'s identity', () => {
+    const { markers } = computeDeepDiff(revisions);
+    const [merged] = coalesceMarkers(markers, { author: true });
+    assert.strictEqual(merged.id, 0);
+    assert.strictEqual(merged.revision.index, 1);
+    assert.deepStrictEqual(merged.modifiedBy.map(r => r.index), [2]);
+  });
+
+  it('leaves markers alone when nothing in the policy applies', () => {
+    const { markers } = computeDeepDiff(revisions);
+    assert.deepStrictEqual(coalesceMarkers(markers, {}), markers);
+  });
+
+});
+
+// ============================================================================
+// computeDeepDiffAsync - Asynchronous Computation Tests
+// ============================================================================
+
+describe('computeDeepDiffAsync', () => {
+
+  const revisions = ['The client shall pay.', 'The client shall pay promptly.', 'The big client shall pay promptly.'];
+
+  it('resolves to the same result as computeDeepDiff', async () => {
+    const result = await computeDeepDiffAsync(revisions, { trackDeletions: true });
+    assert.deepStrictEqual(result, computeDeepDiff(revisions, { trackDeletions: true }));
+  });
+
+  it('reports progress after each revision', async () => {
+    const progress = [];
+    await computeDeepDiffAsync(revisions, { onProgress: p => progress.push(p) });
+    assert.deepStrictEqual(progress, [
+      { completed: 1, total: 3 },
+      { completed: 2, total: 3 },
+      { completed: 3, total: 3 }
+    ]);
+  });
+
+  it('rejects with the abort reason when cancelled', async () => {
+    const controller = new AbortController();
+    const reason = new Error('stop');
+    const pushed = [];
+    const promise = computeDeepDiffAsync(revisions, {
+      signal: controller.signal,
+      onProgress: ({ completed }) => {
+        pushed.push(completed);
+        if (completed === 1) controller.abort(reason);
+      }
+    });
+    await assert.rejects(promise, error => error === reason);
+    assert.deepStrictEqual(pushed, [1]);
+
+    await assert.rejects(computeDeepDiffAsync([], { signal: AbortSignal.abort() }), { name: 'AbortError' });
+  });
+
+  it('yields to the event loop between slow revisions', async () => {
+    // An engine taking longer than a frame per diff
+    const slow = (before, after) => {
+      const until = Date.now() + 20;
+      while (Date.now() < until);
+      return [[DIFF_DELETE, before], [DIFF_INSERT, after]];
+    };
+    let ticks = 0;
+    const timer = setInterval(() => ticks++, 0);
+    try {
+      await computeDeepDiffAsync(['a', 'b', 'c'], { engine: slow });
+    } finally {
+      clearInterval(timer);
+    }
+    assert.ok(ticks > 0);
+  });
+
+});
+
+// ============================================================================
+// computeDeepDiffFromOperations - Operation Input Tests
+// ============================================================================
+
+describe('computeDeepDiffFromOperations', () => {
+
+  const marked = ({ text, markers }) => markers.map(m => text.slice(m.start, m.end + 1));
+
+  it('matches computeDeepDiff for the same edits', () => {
+    const fromOps = computeDeepDiffFromOperations('The client shall pay.', [
+      [{ retain: 17 }, { insert: 'promptly ' }],
+      [{ retain: 4 }, { insert: 'big ' }]
+    ], { trackDeletions: true });
+    const fromTexts = computeDeepDiff([
+      'The client shall pay.',
+      'The client shall promptly pay.',
+      'The big client shall promptly pay.'
+    ], { trackDeletions: true });
+    assert.deepStrictEqual(fromOps, fromTexts);
+  });
+
+  it('accepts ot.js-style operations', () => {
+    const result = computeDeepDiffFromOperations('hello world', [[6, 'big ', 5], [6, -4, 'wide ', 5]]);
+    assert.strictEqual(result.text, 'hello wide world');
+    assert.deepStrictEqual(marked(result), ['wide ']);
+  });
+
+  it('accepts Quill Deltas and revision metadata', () => {
+    const result = computeDeepDiffFromOperations('hello', [
+      { ops: [{ retain: 5 }, { insert: ' world', attributes: { bold: true } }], author: 'alice', id: 'c1' },
+      { ops: { ops: [{ delete: 1 }, { insert: 'H' }] } }
+    ]);
+    assert.strictEqual(result.text, 'Hello world');
+    assert.deepStrictEqual(result.markers.map(m => m.revision), [
+      { author: 'alice', id: 'c1', index: 1 },
+      { index: 2 }
+    ]);
+  });
+
+  it('keeps the intent of each edit instead of re-diffing', () => {
+    // Retyping a word marks it, though the text is unchanged
+    const result = computeDeepDiffFromOperations('a cat sat', [[2, -3, 'cat']]);
+    assert.deepStrictEqual(marked(result), ['cat']);
+    assert.deepStrictEqual(computeDeepDiff(['a cat sat', 'a cat sat']).markers, []);
+  });
+
+  it('neither trims texts nor skips empty revisions', () => {
+    const result = computeDeepDiffFromOperations('  padded ', [[{ delete: 9 }], [{ insert: 'new' }]]);
+    assert.strictEqual(result.text, 'new');
+    assert.deepStrictEqual(marked(result), ['new']);
+    assert.strictEqual(result.markers[0].revision.index, 2);
+  });
+
+  it('rejects operations that do not fit the text', () => {
+    assert.throws(() => computeDeepDiffFromOperations('abc', [[{ retain: 4 }]]), /past the end/);
+    assert.throws(() => computeDeepDiffFromOperations('abc', [[2, -2]]), /past the end/);
+    assert.throws(() => computeDeepDiffFromOperations('abc', [[{ retain: -1 }]]), TypeError);
+    assert.throws(() => computeDeepDiffFromOperations('abc', [[{ move: 1 }]]), TypeError);
+    assert.throws(() => computeDeepDiffFromOperations('abc', ['abc']), TypeError);
+  });
+
+});
+
+// ============================================================================
+// DeepDiffSession - Incremental Computation Tests
+// ============================================================================
+
+describe('DeepDiffSession', () => {
+
+  const revisions = [
+    'The client shall pay the invoice.',
+    'The client shall pay the invoice within 30 days.',
+    'The client shall pay the invoice in full within 30 days.',
+    'The client shall pay the invoice in full within 30 business days.'
+  ];
+
+  it('starts empty', () => {
+    const session = new DeepDiffSession();
+    assert.strictEqual(session.text, '');
+    assert.deepStrictEqual(session.markers, []);
+    assert.strictEqual(session.revisionCount, 0);
+  });
+
+  it('matches computeDeepDiff after the same pushes', () => {
+    const session = new DeepDiffSession({ trackDeletions: true });
+    revisions.forEach(r => session.push(r));
+    assert.deepStrictEqual(session.snapshot(), computeDeepDiff(revisions, { trackDeletions: true }));
+  });
+
+  it('supports chaining', () => {
+    const session = new DeepDiffSession().push('hello').push('hello world');
+    assert.strictEqual(session.text, 'hello world');
+    assert.strictEqual(session.markers.length, 1);
+  });
+
+  it('keeps snapshots stable across later pushes', () => {
+    const session = new DeepDiffSession().push('world').push('world!');
+    const before = session.snapshot();
+    session.push('hello world!');
+
+    assert.strictEqual(before.text, 'world!');
+    assert.strictEqual(before.markers[0].start, 5);
+    assert.strictEqual(session.markers[0].start, 11);
+  });
+
+  it('updates live markers in place', () => {
+    const session = new DeepDiffSession().push('world').push('world!');
+    const [marker] = session.markers;
+    session.push('hello world!');
+    assert.strictEqual(marker.start, 11);
+  });
+
+  it('drops markers once they are subsumed', () => {
+    const session = new DeepDiffSession().push('hello').push('hello world').push('hello');
+    assert.deepStrictEqual(session.markers, []);
+  });
+
+  it('counts skipped revisions in revision indices', () => {
+    const session = new DeepDiffSession().push('a').push('').push('ab');
+    assert.strictEqual(session.revisionCount, 3);
+    assert.strictEqual(session.markers[0].revision.index, 2);
+  });
+
+  it('validates options up front', () => {
+    assert.throws(() => new DeepDiffSession({ granularity: 'nope' }), TypeError);
+  });
+
+  it('applies operation lists alongside pushed revisions', () => {
+    const session = new DeepDiffSession({ keepHistory: true })
+      .push('hello')
+      .apply([{ retain: 5 }, { insert: ' world' }], { author: 'bob' })
+      .push('hello big world');
+
+    assert.strictEqual(session.text, 'hello big world');
+    assert.deepStrictEqual(session.markers.map(m => [m.start, m.end, m.revision.index]), [[5, 14, 1], [6, 9, 2]]);
+    assert.strictEqual(session.at(1).text, 'hello world');
+    assert.strictEqual(session.at(1).markers[0].revision.author, 'bob');
+  });
+
+  it('records markers moved by operations that leave the text unchanged', () => {
+    const session = new DeepDiffSession({ keepHistory: true })
+      .apply(['abc'])
+      .apply([{ delete: 1 }, { insert: 'a' }]);
+
+    assert.strictEqual(session.text, 'abc');
+    assert.deepStrictEqual(session.at(1).markers.map(m => [m.start, m.end]), [[0, 0]]);
+    assert.deepStrictEqual(session.at(1), session.snapshot());
+  });
+
+  it('builds the base text from operations on an empty session', () => {
+    const session = new DeepDiffSession().apply(['hello']).apply([5, '!']);
+    assert.deepStrictEqual(session.markers.map(m => [m.start, m.end]), [[5, 5]]);
+  });
+
+  it('leaves the session untouched when operations are invalid', () => {
+    const session = new DeepDiffSession().push('abc');
+    assert.throws(() => session.apply([{ delete: 5 }]));
+    assert.strictEqual(session.revisionCount, 1);
+  });
+
+  it('only applies operations to plain text', () => {
+    assert.throws(() => new DeepDiffSession({ format: 'html' }).apply(['<p>a</p>']), /text format/);
+  });
+
+  it('accumulates the event log across pushes', () => {
+    const session = new DeepDiffSession({ events: true }).push('hello').push('hello world');
+    assert.deepStrictEqual(session.events.map(e => e.type), ['create']);
+    session.push('hello');
+    assert.deepStrictEqual(session.events.map(e => e.type), ['create', 'subsume']);
+    assert.deepStrictEqual(session.snapshot().events, session.events);
+  });
+
+});
+
+// ============================================================================
+// computeDeepDiffTimeline - Time Travel Tests
+// ============================================================================
+
+describe('computeDeepDiffTimeline', () => {
+
+  const revisions = [
+    { text: 'The client shall promptly pay.', author: 'alice' },
+    { text: '' },
+    { text: 'The client shall pay within 30 days.', author: 'bob' },
+    { text: 'The client shall pay within 30 business days.', author: 'carol' },
+    { text: 'The big client shall pay within 30 business days!', author: 'dave' }
+  ];
+  const options = { trackDeletions: true };
+
+  it('matches computeDeepDiff on every prefix of the history', () => {
+    const timeline = computeDeepDiffTimeline(revisions, options);
+    for (let k = 0; k < revisions.length; k++) {
+      assert.deepStrictEqual(
+        timeline.at(k),
+        computeDeepDiff(revisions.slice(0, k + 1), options),
+        `state as of revision ${k}`
+      );
+    }
+  });
+
+  it('replays long histories between checkpoints', () => {
+    const long = ['The client shall pay the fee. Payment is due monthly.'];
+    for (let i = 0; i < 100; i++) {
+      const text = long[long.length - 1];
+      const at = (i * 17) % text.length;
+      long.push(i % 10 === 9 ? '' : text.slice(0, at) + ` w${i} ` + text.slice(at + (i % 3) * 2));
+    }
+    for (const options of [{ trackDeletions: true }, { coalesce: { revision: true }, whitespace: 'preserve' }]) {
+      const timeline = computeDeepDiffTimeline(long, options);
+      for (const k of [0, 31, 32, 33, 63, 64, 65, 99, 100]) {
+        assert.deepStrictEqual(timeline.at(k), computeDeepDiff(long.slice(0, k + 1), options), `revision ${k}`);
+      }
+    }
+  });
+
+  it('restores modifiedBy at checkpoints that later merges changed', () => {
+    const texts = ['mid', 'Amid', 'AmidB', ...Array(31).fill('AmidB'), 'AB'];
+    const long = texts.map(text => ({ text, author: 'ann' }));
+    const options = { coalesce: { author: true } };
+    const timeline = computeDeepDiffTimeline(long, options);
+    for (const k of [31, 32, 33, 34]) {
+      assert.deepStrictEqual(timeline.at(k), computeDeepDiff(long.slice(0, k + 1), options), `revision ${k}`);
+    }
+  });
+
+  it('replays operations applied to a live session', () => {
+    const session = new DeepDiffSession({ keepHistory: true, trackDeletions: true }).apply(['abc']);
+    const states = [session.snapshot()];
+    for (let i = 0; i < 40; i++) {
+      session.apply([i % 3, { delete: 1 }, { insert: `x${i}` }]);
+      states.push(session.snapshot());
+    }
+    states.forEach((state, k) => assert.deepStrictEqual(session.at(k), state, `revision ${k}`));
+  });
+
+  it('only reports modifications made up to the requested revision', () => {
+    const timeline = computeDeepDiffTimeline(revisions);
+    const within = state => state.markers.find(m => m.revision.author === 'bob');
+
+    assert.deepStrictEqual(within(timeline.at(2)).modifiedBy, []);
+    assert.deepStrictEqual(within(timeline.at(3)).modifiedBy.map(r => r.author), ['carol']);
+  });
+
+  it('counts back from the latest revision with negative indices', () => {
+    const timeline = computeDeepDiffTimeline(revisions);
+    assert.deepStrictEqual(timeline.at(-1), timeline.snapshot());
+    assert.deepStrictEqual(timeline.at(-2), timeline.at(3));
+  });
+
+  it('returns undefined outside the recorded history', () => {
+    const timeline = computeDeepDiffTimeline(revisions);
+    assert.strictEqual(timeline.at(revisions.length), undefined);
+    assert.strictEqual(timeline.at(-revisions.length - 1), undefined);
+  });
+
+  it('returns copies that later pushes leave alone', () => {
+    const timeline = computeDeepDiffTimeline(['world', 'world!']);
+    const before = timeline.at(1);
+    timeline.push('hello world!');
+    assert.strictEqual(before.markers[0].start, 5);
+    assert.strictEqual(timeline.at(1).markers[0].start, 5);
+    assert.strictEqual(timeline.at(2).markers[0].start, 11);
+  });
+
+  it('keeps recording on a session created with keepHistory', () => {
+    const session = new DeepDiffSession({ keepHistory: true }).push('a').push('ab');
+    assert.strictEqual(session.at(0).markers.length, 0);
+    assert.strictEqual(session.at(1).markers.length, 1);
+  });
+
+  it('requires keepHistory', () => {
+    assert.throws(() => new DeepDiffSession().push('a').at(0), /keepHistory/);
+  });
+
+  it('starts recording afresh after restoring from JSON', () => {
+    const saved = JSON.stringify(computeDeepDiffTimeline(['a', 'ab']));
+    const session = DeepDiffSession.fromJSON(saved).push('abc');
+    assert.strictEqual(session.at(1), undefined);
+    assert.strictEqual(session.at(2).text, 'abc');
+  });
+
+});
+
+// ============================================================================
+// serializeDeepDiff / deserializeDeepDiff - Snapshot Tests
+// ============================================================================
+
+describe('serialization', () => {
+
+  const revisions = [
+    { text: 'The client shall promptly pay.', author: 'alice', id: 'r1' },
+    { text: 'The client shall pay within 30 days.', author: 'bob', id: 'r2' },
+    { text: 'The client shall pay within 30 business days.', author: 'carol', id: 'r3' }
+  ];
+  const options = { trackDeletions: true, granularity: 'word' };
+
+  it('writes a versioned JSON document', () => {
+    const data = JSON.parse(serializeDeepDiff(computeDeepDiff(revisions, options), options));
+    assert.strictEqual(data.format, 'deep-diff');
+    assert.strictEqual(data.version, 1);
+    assert.deepStrictEqual(data.options, options);
+    assert.strictEqual(data.text, 'The client shall pay within 30 business days.');
+  });
+
+  it('stores each revision once and refers to it by position', () => {
+    const data = JSON.parse(serializeDeepDiff(computeDeepDiff(revisions, options)));
+    assert.deepStrictEqual(data.revisions.map(r => r.id), ['r2', 'r3']);
+    const within = data.markers.find(m => m.revision === 0);
+    assert.deepStrictEqual(within.modifiedBy, [1]);
+  });
+
+  it('round-trips to live markers and tombstones', () => {
+    const result = computeDeepDiff(revisions, options);
+    const restored = deserializeDeepDiff(serializeDeepDiff(result, options));
+
+    assert.strictEqual(restored.text, result.text);
+    assert.deepStrictEqual(restored.markers, result.markers);
+    assert.deepStrictEqual(restored.tombstones, result.tombstones);
+    assert.deepStrictEqual(restored.options, options);
+    assert.strictEqual(restored.markers[0].constructor.name, 'Marker');
+    assert.strictEqual(restored.markers[0].length, result.markers[0].length);
+  });
+
+  it('shares revision objects between markers after restoring', () => {
+    const { markers } = deserializeDeepDiff(serializeDeepDiff(computeDeepDiff(revisions)));
+    const bob = markers.find(m => m.revision.author === 'bob');
+    const carol = markers.find(m => m.revision.author === 'carol');
+    assert.strictEqual(bob.modifiedBy[0], carol.revision);
+  });
+
+  it('accepts already-parsed data', () => {
+    const json = serializeDeepDiff(computeDeepDiff(revisions));
+    assert.deepStrictEqual(deserializeDeepDiff(JSON.parse(json)), deserializeDeepDiff(json));
+  });
+
+  it('resumes a session where it left off', () => {
+    const session = new DeepDiffSession(options);
+    revisions.slice(0, 2).forEach(r => session.push(r));
+
+    const resumed = DeepDiffSession.fromJSON(JSON.stringify(session));
+    resumed.push(revisions[2]);
+
+    const full = new DeepDiffSession(options);
+    revisions.forEach(r => full.push(r));
+
+    assert.deepStrictEqual(resumed.snapshot(), full.snapshot());
+    assert.strictEqual(resumed.revisionCount, 3);
+  });
+
+  it('leaves custom engines out and takes them again on resume', () => {
+    const engine = (before, after) => [[DIFF_DELETE, before], [DIFF_INSERT, after]];
+    const session = new DeepDiffSession({ engine }).push('hello').push('hello world');
+    const data = JSON.parse(serializeDeepDiff(session));
+    assert.ok(!('engine' in data.options));
+    assert.ok(!('engine' in JSON.parse(serializeDeepDiff(session.snapshot(), { engine })).options));
+
+    const resumed = DeepDiffSession.fromJSON(data, { engine }).push('hello world!');
+    assert.deepStrictEqual(resumed.markers.map(m => [m.start, m.end]), [[0, 11]]);
+  });
+
+  it('resumes an empty session', () => {
+    const resumed = DeepDiffSession.fromJSON(serializeDeepDiff(new DeepDiffSession()));
+    resumed.push('hello').push('hello world');
+    assert.strictEqual(resumed.markers.length, 1);
+    assert.strictEqual(resumed.markers[0].revision.index, 1);
+  });
+
+  it('continues marker ids after resuming from a result', () => {
+    const json = serializeDeepDiff(computeDeepDiff(['a', 'ab', 'abc']));
+    const session = DeepDiffSession.fromJSON(json).push('abcd');
+    assert.deepStrictEqual(session.markers.map(m => m.id), [0, 1, 2]);
+    assert.strictEqual(session.markers[2].revision.index, 3);
+  });
+
+  it('keeps the markup source', () => {
+    const session = new DeepDiffSession({ format: 'html' }).push('<p>a</p>').push('<p>a <b>b</b></p>');
+    const resumed = DeepDiffSession.fromJSON(JSON.stringify(session));
+    assert.strictEqual(resumed.source, '<p>a <b>b</b></p>');
+    assert.deepStrictEqual(resumed.snapshot(), session.snapshot());
+  });
+
+  it('stores offsets in the session\'s unit', () => {
+    const session = new DeepDiffSession({ offsets: 'codepoint' }).push('😀 a').push('😀 a b');
+    const data = JSON.parse(JSON.stringify(session));
+    assert.strictEqual(data.markers[0].start, 3);
+
+    const resumed = DeepDiffSession.fromJSON(data).push('x😀 a b');
+    assert.deepStrictEqual(resumed.markers.map(m => [m.start, m.end]), [[4, 5], [0, 0]]);
+  });
+
+  it('rejects data in another format', () => {
+    assert.throws(() => deserializeDeepDiff('{"markers": []}'), /Not a serialized deep diff/);
+    assert.throws(
+      () => deserializeDeepDiff({ format: 'deep-diff', version: 99 }),
+      /Unsupported deep diff snapshot version 99/
+    );
+  });
+
+});
+
+// ============================================================================
+// renderWithMarkers - Rendering Tests
+// ============================================================================
+
+describe('renderWithMarkers', () => {
+
+  describe('basic rendering', () => {
+
+    it('returns text unchanged when no markers', () => {
+      const html = renderWithMarkers('hello world', []);
+      assert.strictEqual(html, 'hello world');
+    });
+
+    it('wraps single marker in tags', () => {
+      const markers = [{ start: 0, end: 4, enabled: true }];
+      const html = renderWithMarkers('hello world', markers);
+      assert.strictEqual(html, '<ins class="deep-diff">hello</ins> world');
+    });
+
+    it('wraps marker at end of text', () => {
+      const markers = [{ start: 6, end: 10, enabled: true }];
+      const html = renderWithMarkers('hello world', markers);
+      assert.strictEqual(html, 'hello <ins class="deep-diff">world</ins>');
+    });
+
+    it('wraps entire text', () => {
+      const markers = [{ start: 0, end: 4, enabled: true }];
+      const html = renderWithMarkers('hello', markers);
+      assert.strictEqual(html, '<ins class="deep-diff">hello</ins>');
+    });
+
+  });
+
+  describe('HTML escaping', () => {
+
+    it('escapes angle brackets', () => {
+      const html = renderWithMarkers('<script>alert("xss")</script>', []);
+      assert.ok(!html.includes('<script>'));
+      assert.ok(html.includes('&lt;script&gt;'));
+    });
+
+    it('escapes ampersands', () => {
+      const html = renderWithMarkers('Tom & Jerry', []);
+      assert.ok(html.includes('&amp;'));
+    });
+
+    it('escapes quotes', () => {
+      const html = renderWithMarkers('He said "hello"', []);
+      assert.ok(html.includes('&quot;'));
+    });
+
+    it('escapes within marked regions', () => {
+      const markers = [{ start: 0, end: 2, enabled: true }];
+      const html = renderWithMarkers('<b>', markers);
+      assert.ok(html.includes('&lt;b&gt;'));
+    });
+
+  });
+
+  describe('multiple markers', () => {
+
+    it('renders non-overlapping markers', () => {
+      const markers = [
+        { start: 0, end: 4, enabled: true },
+        { start: 6, end: 10, enabled: true }
+      ];
+      const html = renderWithMarkers('hello world', markers);
+      assert.ok(html.includes('<ins class="deep-diff">hello</ins>'));
+      assert.ok(html.includes('<ins class="deep-diff">world</ins>'));
+    });
+
+    it('renders nested/overlapping markers', () => {
+      const markers = [
+        { start: 0, end: 10, enabled: true },
+        { start: 6, end: 10, enabled: true }
+      ];
+      const html = renderWithMarkers('hello world', markers);
+      
+      const insCount = (html.match(/<ins/g) || []).length;
+      assert.strictEqual(insCount, 2, 'should have 2 opening ins tags');
+    });
+
+  });
+
+  describe('options', () => {
+
+    it('uses custom tag name', () => {
+      const markers = [{ start: 0, end: 4, enabled: true }];
+      const html = renderWithMarkers('hello', markers, { tagName: 'mark' });
+      assert.ok(html.includes('<mark'));
+      assert.ok(html.includes('</mark>'));
+      assert.ok(!html.includes('<ins'));
+    });
+
+    it('uses custom class name', () => {
+      const markers = [{ start: 0, end: 4, enabled: true }];
+      const html = renderWithMarkers('hello', markers, { className: 'changed' });
+      assert.ok(html.includes('class="changed"'));
+      assert.ok(!html.includes('deep-diff'));
+    });
+
+    it('omits class when className is empty', () => {
+      const markers = [{ start: 0, end: 4, enabled: true }];
+      const html = renderWithMarkers('hello', markers, { className: '' });
+      assert.ok(html.includes('<ins>'));
+      assert.ok(!html.includes('class='));
+    });
+
+  });
+
+  describe('recency weighting', () => {
+
+    const markers = [
+      { start: 0, end: 10, enabled: true, revision: { index: 1 } },
+      { start: 6, end: 10, enabled: true, revision: { index: 11 } }
+    ];
+
+    it('adds weights as data attributes and a custom property', () => {
+      const html = renderWithMarkers('hello world', markers, { decay: { halfLife: 10 } });
+      assert.strictEqual(
+        html,
+        '<ins class="deep-diff" data-weight="0.5" style="--deep-diff-weight: 0.5">hello ' +
+        '<ins class="deep-diff" data-weight="1" style="--deep-diff-weight: 1">world</ins></ins>'
+      );
+    });
+
+    it('leaves tags unweighted without decay', () => {
+      const html = renderWithMarkers('hello world', markers);
+      assert.ok(!html.includes('data-weight'));
+      assert.ok(!html.includes('style='));
+    });
+
+  });
+
+  describe('flat mode', () => {
+
+    // "hello world": 0-6 and 4-10 overlap without nesting
+    const crossing = [
+      { start: 0, end: 6, enabled: true, revision: { index: 1 } },
+      { start: 4, end: 10, enabled: true, revision: { index: 2 } }
+    ];
+
+    it('emits one tag per run with depth class and attribute', () => {
+      const html = renderWithMarkers('hello world', crossing, { mode: 'flat' });
+      assert.strictEqual(
+        html,
+        '<ins class="deep-diff depth-1" data-depth="1">hell</ins>' +
+        '<ins class="deep-diff depth-2" data-depth="2">o w</ins>' +
+        '<ins class="deep-diff depth-1" data-depth="1">orld</ins>'
+      );
+    });
+
+    it('never nests tags', () => {
+      const html = renderWithMarkers('hello world', [
+        ...crossing,
+        { start: 2, end: 8, enabled: true, revision: { index: 3 } }
+      ], { mode: 'flat' });
+      assert.doesNotMatch(html, /<ins[^>]*>[^<]*<ins/);
+      assert.strictEqual(html.replace(/<[^>]+>/g, ''), 'hello world');
+    });
+
+    it('caps the depth class at maxDepth but keeps the true depth', () => {
+      const stacked = [0, 1, 2].map(i => ({ start: 0, end: 2, enabled: true, revision: { index: i } }));
+      const html = renderWithMarkers('abc', stacked, { mode: 'flat', maxDepth: 2 });
+      assert.strictEqual(html, '<ins class="deep-diff depth-2" data-depth="3">abc</ins>');
+    });
+
+    it('caps the depth class at the default style depth', () => {
+      const stacked = [0, 1, 2, 3, 4, 5, 6].map(i => ({ start: 0, end: 2, enabled: true, revision: { index: i } }));
+      const html = renderWithMarkers('abc', stacked, { mode: 'flat' });
+      assert.strictEqual(html, '<ins class="deep-diff depth-5" data-depth="7">abc</ins>');
+    });
+
+    it('takes kind and author from the newest covering marker', () => {
+      const markers = [
+        { start: 0, end: 4, enabled: true, revision: { index: 1, author: 'alice' } },
+        { start: 2, end: 2, enabled: true, kind: 'move', revision: { index: 2, author: 'bob' } }
+      ];
+      const html = renderWithMarkers('hello', markers, { mode: 'flat', byAuthor: true });
+      assert.ok(html.includes(
+        '<ins class="deep-diff deep-diff-moved depth-2 deep-diff-author-bob" data-depth="2" data-author="bob">l</ins>'
+      ));
+      assert.ok(html.startsWith('<ins class="deep-diff depth-1 deep-diff-author-alice"'));
+    });
+
+    it('averages weights across covering markers', () => {
+      const html = renderWithMarkers('hello world', crossing, { mode: 'flat', decay: { type: 'linear', window: 2 } });
+      assert.ok(html.includes('data-depth="2" data-weight="0.75" style="--deep-diff-weight: 0.75">o w<'));
+    });
+
+    it('splits runs around tombstones', () => {
+      const markers = [{ start: 0, end: 4, enabled: true }];
+      const html = renderWithMarkers('hello', markers, {
+        mode: 'flat',
+        tombstones: [{ position: 2, text: 'XX' }, { position: 5, text: '!' }]
+      });
+      assert.strictEqual(
+        html,
+        '<ins class="deep-diff depth-1" data-depth="1">he</ins>' +
+        '<del class="deep-diff-deleted">XX</del>' +
+        '<ins class="deep-diff depth-1" data-depth="1">llo</ins>' +
+        '<del class="deep-diff-deleted">!</del>'
+      );
+    });
+
+    it('rejects unknown modes', () => {
+      assert.throws(() => renderWithMarkers('a', [], { mode: 'sideways' }), TypeError);
+    });
+
+  });
+
+  describe('tooltips', () => {
+
+    it('lists the revisions that created and changed each marker', () => {
+      const marker = {
+        start: 0, end: 4, enabled: true,
+        revision: { index: 1, id: 'r2', author: 'bob', timestamp: Date.UTC(2024, 0, 31, 9, 30) },
+        modifiedBy: [{ index: 2, author: 'carol <c@example.com>' }]
+      };
+      assert.strictEqual(
+        renderWithMarkers('hello', [marker], { tooltips: true }),
+        '<ins class="deep-diff" title="Added in r2 by bob, 2024-01-31 09:30 UTC\n' +
+        'Changed in revision 2 by carol &lt;c@example.com&gt;">hello</ins>'
+      );
+    });
+
+    it('lists every covering marker in flat mode', () => {
+      const markers = [
+        { start: 0, end: 4, enabled: true, revision: { index: 1 } },
+        { start: 2, end: 2, enabled: true, revision: { index: 2 } }
+      ];
+      const html = renderWithMarkers('hello', markers, { mode: 'flat', tooltips: true });
+      assert.ok(html.includes('title="Added in revision 1\nAdded in revision 2">l<'));
+    });
+
+  });
+
+  describe('markup formats', () => {
+
+    it('injects tags into text runs only', () => {
+      const source = '<p title="pay now">Pay <a href="/now">now</a> please</p>';
+      // Text content "Pay now please"; mark "y now p"
+      const markers = [{ start: 2, end: 8, enabled: true }];
+      assert.strictEqual(
+        renderWithMarkers(source, markers, { format: 'html' }),
+        '<p title="pay now">Pa<ins class="deep-diff">y </ins><a href="/now"><ins class="deep-diff">now</ins></a>' +
+        '<ins class="deep-diff"> p</ins>lease</p>'
+      );
+    });
+
+    it('keeps nesting well-formed around markup', () => {
+      const markers = [
+        { start: 0, end: 6, enabled: true },
+        { start: 4, end: 10, enabled: true }
+      ];
+      assert.strictEqual(
+        renderWithMarkers('<b>hello</b> world', markers, { format: 'html' }),
+        '<b><ins class="deep-diff">hell</ins><ins class="deep-diff"><ins class="deep-diff">o</ins></ins></b>' +
+        '<ins class="deep-diff"><ins class="deep-diff"> w</ins></ins><ins class="deep-diff">orld</ins>'
+      );
+    });
+
+    it('wraps entities whole and passes markup through unescaped', () => {
+      const markers = [{ start: 2, end: 2, enabled: true }];
+      assert.strictEqual(
+        renderWithMarkers('a &amp; <br>b', markers, { format: 'html' }),
+        'a <ins class="deep-diff">&amp;</ins> <br>b'
+      );
+    });
+
+    it('never splits Markdown syntax', () => {
+      const { source, markers } = computeDeepDiff(
+        ['The **client** pays.', 'The **big client** pays [now](https://example.com).'],
+        { format: 'markdown' }
+      );
+      assert.strictEqual(
+        renderWithMarkers(source, markers, { format: 'markdown' }),
+        'The **<ins class="deep-diff">big </ins>client** pays<ins class="deep-diff"> </ins>[' +
+        '<ins class="deep-diff">now</ins>](https://example.com).'
+      );
+    });
+
+    it('leaves code blocks and line breaks unwrapped', () => {
+      const { source, markers } = computeDeepDiff(
+        ['Intro', 'Intro more\n```\ncode\n```'],
+        { format: 'markdown' }
+      );
+      assert.strictEqual(
+        renderWithMarkers(source, markers, { format: 'markdown' }),
+        'Intro<ins class="deep-diff"> more</ins>\n```\ncode\n```'
+      );
+    });
+
+    it('supports flat mode and tombstones', () => {
+      const { source, markers, tombstones } = computeDeepDiff(
+        ['<p>old terms</p>', '<p>new <i>terms</i></p>'],
+        { format: 'html', trackDeletions: true }
+      );
+      assert.strictEqual(
+        renderWithMarkers(source, markers, { format: 'html', mode: 'flat', tombstones }),
+        '<p><del class="deep-diff-deleted" data-revision="1">old</del><ins class="deep-diff depth-1" data-depth="1">new</ins> <i>terms</i></p>'
+      );
+    });
+
+  });
+
+  describe('per-author rendering', () => {
+
+    const alice = { index: 1, author: 'alice' };
+    const bob = { index: 2, author: 'Bob Smith' };
+
+    it('adds author class and data-author when byAuthor is set', () => {
+      const markers = [{ start: 0, end: 4, enabled: true, revision: alice }];
+      const html = renderWithMarkers('hello world', markers, { byAuthor: true });
+      assert.strictEqual(
+        html,
+        '<ins class="deep-diff deep-diff-author-alice" data-author="alice">hello</ins> world'
+      );
+    });
+
+    it('ignores authors unless byAuthor is set', () => {
+      const markers = [{ start: 0, end: 4, enabled: true, revision: alice }];
+      const html = renderWithMarkers('hello', markers);
+      assert.strictEqual(html, '<ins class="deep-diff">hello</ins>');
+    });
+
+    it('renders markers without an author as plain tags', () => {
+      const markers = [
+        { start: 0, end: 10, enabled: true, revision: { index: 1 } },
+        { start: 6, end: 10, enabled: true, revision: bob }
+      ];
+      const html = renderWithMarkers('hello world', markers, { byAuthor: true });
+      assert.strictEqual(
+        html,
+        '<ins class="deep-diff">hello <ins class="deep-diff deep-diff-author-bob-smith" ' +
+        'data-author="Bob Smith">world</ins></ins>'
+      );
+    });
+
+    it('escapes author names in attributes', () => {
+      const markers = [{ start: 0, end: 0, enabled: true, revision: { index: 1, author: '"x"' } }];
+      const html = renderWithMarkers('a', markers, { byAuthor: true });
+      assert.ok(html.includes('data-author="&quot;x&quot;"'));
+    });
+
+    it('uses the custom class name as the author class prefix', () => {
+      const markers = [{ start: 0, end: 0, enabled: true, revision: alice }];
+      const html = renderWithMarkers('a', markers, { byAuthor: true, className: 'changed' });
+      assert.ok(html.includes('class="changed changed-author-alice"'));
+    });
+
+    it('adds a moved class to move markers', () => {
+      const markers = [{ start: 0, end: 4, enabled: true, kind: 'move', revision: alice }];
+      const html = renderWithMarkers('hello', markers, { byAuthor: true });
+      assert.strictEqual(
+        html,
+        '<ins class="deep-diff deep-diff-moved deep-diff-author-alice" data-author="alice">hello</ins>'
+      );
+      assert.strictEqual(
+        renderWithMarkers('hello', markers),
+        '<ins class="deep-diff deep-diff-moved">hello</ins>'
+      );
+    });
+
+    it('works end to end through deepDiffHtml', () => {
+      const html = deepDiffHtml([
+        { text: 'hello', author: 'alice' },
+        { text: 'hello world', author: 'bob' }
+      ], { byAuthor: true });
+      assert.ok(html.includes('data-author="bob"'));
+    });
+
+  });
+
+  describe('tombstones', () => {
+
+    const tombstone = { position: 6, text: 'big ', revision: { index: 1, id: 'r1', author: 'bob' } };
+
+    it('renders deleted text inline in <del>', () => {
+      const html = renderWithMarkers('hello world', [], { tombstones: [tombstone] });
+      assert.strictEqual(
+        html,
+        'hello <del class="deep-diff-deleted" data-revision="r1">big </del>world'
+      );
+    });
+
+    it('renders empty <del> markers with the text in the title', () => {
+      const html = renderWithMarkers('hello world', [], {
+        tombstones: [tombstone],
+        deletions: 'marker'
+      });
+      assert.strictEqual(
+        html,
+        'hello <del class="deep-diff-deleted" data-revision="r1" title="big "></del>world'
+      );
+    });
+
+    it('places tombstones outside markers that touch them', () => {
+      const markers = [
+        { start: 0, end: 5, enabled: true },
+        { start: 6, end: 10, enabled: true }
+      ];
+      const html = renderWithMarkers('hello world', markers, { tombstones: [tombstone] });
+      assert.ok(html.includes('hello </ins><del'));
+      assert.ok(html.includes('</del><ins class="deep-diff">world'));
+    });
+
+    it('falls back to the revision index and escapes deleted text', () => {
+      const html = renderWithMarkers('ab', [], {
+        tombstones: [{ position: 1, text: '<x>', revision: { index: 3 } }]
+      });
+      assert.strictEqual(html, 'a<del class="deep-diff-deleted" data-revision="3">&lt;x&gt;</del>b');
+    });
+
+    it('renders tombstones at the end of the text', () => {
+      const html = renderWithMarkers('ab', [], {
+        tombstones: [{ position: 2, text: 'c', revision: null }]
+      });
+      assert.strictEqual(html, 'ab<del class="deep-diff-deleted">c</del>');
+    });
+
+    it('is wired through deepDiffHtml', () => {
+      const html = deepDiffHtml(['hello big world', 'hello world'], { trackDeletions: true });
+      assert.ok(html.includes('<del class="deep-diff-deleted" data-revision="1">big </del>'));
+    });
+
+  });
+
+  describe('offsets', () => {
+
+    it('places tags by UTF-16 offsets around astral characters', () => {
+      const { text, markers } = computeDeepDiff(['😀 a', '😀 a 🎉']);
+      assert.strictEqual(renderWithMarkers(text, markers), '😀 a<ins class="deep-diff"> 🎉</ins>');
+    });
+
+    it('converts code point and grapheme offsets', () => {
+      const markers = [{ start: 1, end: 1, enabled: true }];
+      assert.strictEqual(renderWithMarkers('😀😀x', markers, { offsets: 'codepoint' }),
+        '😀<ins class="deep-diff">😀</ins>x');
+      assert.strictEqual(renderWithMarkers('e\u0301e', markers, { offsets: 'grapheme' }),
+        'e\u0301<ins class="deep-diff">e</ins>');
+    });
+
+    it('renders what computeDeepDiff returns in the same unit', () => {
+      const options = { offsets: 'grapheme', trackDeletions: true };
+      const { text, markers, tombstones } = computeDeepDiff(['🇮🇪 one cat', '🇮🇪 one dog'], options);
+      assert.strictEqual(renderWithMarkers(text, markers, { ...options, tombstones }),
+        '🇮🇪 one <del class="deep-diff-deleted" data-revision="1">cat</del><ins class="deep-diff">dog</ins>');
+      assert.strictEqual(renderAnsi(text, markers, { ...options, tombstones, color: 'none' }),
+        '🇮🇪 one [-cat-][dog]');
+    });
+
+  });
+
+  describe('edge cases', () => {
+
+    it('handles empty text', () => {
+      const html = renderWithMarkers('', []);
+      assert.strictEqual(html, '');
+    });
+
+    it('handles marker at position 0 with length 1', () => {
+      const markers = [{ start: 0, end: 0, enabled: true }];
+      const html = renderWithMarkers('a', markers);
+      assert.strictEqual(html, '<ins class="deep-diff">a</ins>');
+    });
+
+    it('filters disabled markers', () => {
+      const markers = [
+        { start: 0, end: 4, enabled: false },
+        { start: 6, end: 10, enabled: true }
+      ];
+      const html = renderWithMarkers('hello world', markers);
+      
+      const insCount = (html.match(/<ins/g) || []).length;
+      assert.strictEqual(insCount, 1, 'should only render enabled markers');
+    });
+
+  });
+
+});
+
+// ============================================================================
+// deepDiffHtml - Integration Tests
+// ============================================================================
+
+describe('deepDiffHtml', () => {
+
+  it('combines compute and render', () => {
+    const html = deepDiffHtml(['hello', 'hello world']);
+    assert.ok(html.includes('<ins'));
+    assert.ok(html.includes('world'));
+  });
+
+  it('renders the markup source for markup formats', () => {
+    const html = deepDiffHtml(['<p>hello</p>', '<p>hello <b>world</b></p>'], { format: 'html' });
+    assert.strictEqual(html, '<p>hello<ins class="deep-diff"> </ins><b><ins class="deep-diff">world</ins></b></p>');
+  });
+
+  it('passes options through', () => {
+    const html = deepDiffHtml(['hello', 'hello world'], { 
+      tagName: 'mark',
+      className: 'diff'
+    });
+    assert.ok(html.includes('<mark'));
+    assert.ok(html.includes('class="diff"'));
+  });
+
+  it('handles the full original test case', () => {
+    const revisions = [
+      'Metamorphosis is physical development of the individual after birth or hatching involving significant change in form as well as growth and differentiation. Metamorphosis usually accompanies a change of habitat or of habits. In some species, however, it is merely development through a series of forms which may represent ancestral stages of the species; see ontogeny recapitulates phylogeny.',
+      'Metamorphosis in biology is physical development of the individual after birth or hatching involving significant change in form as well as growth and differentiation. It usually accompanies a change of habitat or of habits but may occur without such change. It was once thought that in those cases where the animal habitat remains unchanged metamorphosis followed a series of forms representing evolutionary ancestors of the species in question (see ontogeny recapitulates phylogeny), but this is no longer thought to be the case.',
+      'Metamorphosis in cosmology is a physical development of the individual after birth or hatching involving significant change in form as well as growth and differentiation. It usually accompanies a change of habitat or of habits but may occur without such change. It was once thought that in those cases where the animal habitat remains unchanged metamorphosis followed a series of forms representing evolutionary ancestors of the species in question (see ontogeny recapitulates phylogeny), but this is no longer thought to be the case.',
+      'Metamorphosis in cosmology is physical development of the individual after birth or hatching involving significant change in form as well as growth and differentiation. It usually accompanies a change of habitat or of habits but may occur without such change. I put in a new sentence here, yo. It was once thought that in those cases where the animal habitat remains unchanged metamorphosis followed a series of forms representing evolutionary ancestors of the species in question (see ontogeny recapitulates phylogeny), but this is no longer thought to be the case.',
+      'Metamorphosis in cosmology is physical development of the individual after birth or hatching involving significant change in form as well as growth and differentiation. It usually accompanies a change of habitat or of habits but may occur without such change. I put in a new bunch of words here, yo. It was once thought that in those cases where the animal habitat remains unchanged metamorphosis followed a series of forms representing evolutionary ancestors of the species in question (see ontogeny recapitulates phylogeny), but this is no longer thought to be the case.',
+      'Metamorphosis in cosmology is physical development of the individual after birth or hatching involving significant change in form as well as growth and differentiation. It usually accompanies a change of habitat or of habits but may occur without such change. I put in a new collection of words here, yo. It was once thought that in those cases where the animal habitat remains unchanged metamorphosis followed a series of forms representing evolutionary ancestors of the species in question (see ontogeny recapitulates phylogeny), but this is no longer thought to be the case.'
+    ];
+
+    const html = deepDiffHtml(revisions);
+    
+    assert.ok(html.includes('<ins'));
+    // Note: "cosmology" may be split by tags (e.g., <ins>cosm</ins>ology)
+    // because only the changed portion "cosm" (replacing "bi" from "biology") is marked
+    const textContent = html.replace(/<[^>]+>/g, '');
+    assert.ok(textContent.includes('cosmology'), 'text should contain cosmology');
+    assert.ok(textContent.includes('collection'), 'text should contain collection');
+    
+    const opens = (html.match(/<ins/g) || []).length;
+    const closes = (html.match(/<\/ins>/g) || []).length;
+    assert.strictEqual(opens, closes, 'ins tags should be balanced');
+  });
+
+});
+
+// ============================================================================
+// deepDiffReport - Standalone Report Tests
+// ============================================================================
+
+describe('deepDiffReport', () => {
+
+  const revisions = [
+    { text: 'The client shall pay.', author: 'alice', id: 'r1' },
+    { text: 'The client shall promptly pay.', author: 'bob', id: 'r2', timestamp: '2024-01-31T09:30:00Z' },
+    { text: 'The big client shall very promptly pay.', author: 'carol', id: 'r3' }
+  ];
+
+  it('builds a complete document with inlined styles and no scripts', () => {
+    const html = deepDiffReport(revisions, { title: 'Contract <v3>' });
+    assert.ok(html.startsWith('<!DOCTYPE html>'));
+    assert.ok(html.includes('<title>Contract &lt;v3&gt;</title>'));
+    assert.ok(html.includes('.deep-diff .deep-diff {'));
+    assert.ok(!html.includes('<script'));
+    assert.ok(html.trimEnd().endsWith('</html>'));
+  });
+
+  it('summarises the history', () => {
+    const html = deepDiffReport(revisions);
+    assert.ok(html.includes('3 revisions · 3 changed regions · maximum depth 1 · 46% of the text changed'));
+  });
+
+  it('includes a legend built from marker tags', () => {
+    const html = deepDiffReport(revisions, { maxDepth: 2 });
+    assert.ok(html.includes('<li><ins class="deep-diff">Changed once</ins></li>'));
+    assert.ok(html.includes('<li><ins class="deep-diff"><ins class="deep-diff">Changed 2 times or more</ins></ins></li>'));
+  });
+
+  it('adds tooltips to the heatmap', () => {
+    const html = deepDiffReport(revisions);
+    assert.ok(html.includes('title="Added in r2 by bob, 2024-01-31 09:30 UTC">promptly </ins>'));
+  });
+
+  it('lists the hottest regions', () => {
+    const html = deepDiffReport(['a b c', 'a big b c', 'a very big b c'], { top: 1 });
+    const hottest = html.match(/<ol class="deep-diff-report-hottest">([\s\S]*?)<\/ol>/)[1];
+    assert.strictEqual(hottest.match(/<li>/g).length, 1);
+  });
+
+  it('gives region ranges in the chosen offset unit', () => {
+    const revisions = ['😀😀 a', '😀😀 a big'];
+    assert.ok(deepDiffReport(revisions).includes('<small>characters 6–9</small>'));
+    assert.ok(deepDiffReport(revisions, { offsets: 'codepoint' }).includes('<small>characters 4–7</small>'));
+  });
+
+  it('shows Markdown as escaped source', () => {
+    const html = deepDiffReport([
+      'Compare a<b',
+      'Compare a<b and c>d\n```\n<img src=x onerror=alert(1)>\n```'
+    ], { format: 'markdown' });
+    const body = html.match(/<div class="deep-diff-report-document[^"]*">([\s\S]*?)<\/div>/)[1];
+    assert.ok(body.startsWith('Compare a&lt;b and c&gt;<ins class="deep-diff"'));
+    assert.ok(body.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(!html.includes('<img'));
+  });
+
+  it('lists revisions unless disabled', () => {
+    const html = deepDiffReport(revisions);
+    assert.ok(html.includes('<li>r3 by carol <small>2 surviving changes</small></li>'));
+    assert.ok(html.includes('<li>r1 by alice</li>'));
+    assert.ok(!deepDiffReport(revisions, { revisionList: false }).includes('<h2>Revisions</h2>'));
+  });
+
+  it('matches styles to flat rendering', () => {
+    const html = deepDiffReport(revisions, { mode: 'flat', byAuthor: true });
+    assert.ok(html.includes('.deep-diff.depth-1 {'));
+    assert.ok(html.includes('.deep-diff.depth-1.deep-diff-author-bob {'));
+    assert.ok(html.includes('class="deep-diff depth-1 deep-diff-author-bob"'));
+  });
+
+  it('styles a custom class name and theme', () => {
+    const html = deepDiffReport(revisions, { className: 'changed', theme: { palette: 'heat', dark: true } });
+    assert.ok(html.includes('<li><ins class="changed">Changed once</ins></li>'));
+    assert.ok(html.includes('.changed { background-color: rgba(255,235,59, 0.3); }'));
+    assert.ok(html.includes('@media (prefers-color-scheme: dark) {'));
+    assert.ok(html.includes('class="changed" title="Added in r2'));
+  });
+
+});
+
+// ============================================================================
+// renderAnsi - Terminal Rendering Tests
+// ============================================================================
+
+describe('renderAnsi', () => {
+
+  const ESC = '\x1b';
+  const nested = [
+    { start: 0, end: 10, enabled: true },
+    { start: 6, end: 10, enabled: true }
+  ];
+
+  it('maps depth to a 256-colour green scale by default', () => {
+    assert.strictEqual(
+      renderAnsi('hello world!', nested),
+      `${ESC}[48;5;22mhello ${ESC}[0m${ESC}[48;5;28mworld${ESC}[0m!`
+    );
+  });
+
+  it('blends truecolor backgrounds over the terminal background', () => {
+    const output = renderAnsi('hello world!', nested, { color: 'truecolor' });
+    assert.ok(output.startsWith(`${ESC}[48;2;43;71;43mhello `));
+    const light = renderAnsi('hello', [{ start: 0, end: 4, enabled: true }], {
+      color: 'truecolor',
+      background: [255, 255, 255]
+    });
+    assert.ok(light.startsWith(`${ESC}[30;48;2;222;250;222m`));
+  });
+
+  it('switches to dark text on bright backgrounds', () => {
+    const deep = Array.from({ length: 5 }, () => ({ start: 0, end: 0, enabled: true }));
+    assert.strictEqual(renderAnsi('a', deep), `${ESC}[30;48;5;46ma${ESC}[0m`);
+    assert.strictEqual(renderAnsi('a', deep, { maxDepth: 3 }), `${ESC}[30;48;5;46ma${ESC}[0m`);
+  });
+
+  it('peaks the scale at maxDepth', () => {
+    const deep = Array.from({ length: 5 }, () => ({ start: 0, end: 0, enabled: true }));
+    assert.strictEqual(renderAnsi('a', deep, { maxDepth: 9 }), `${ESC}[48;5;34ma${ESC}[0m`);
+    assert.strictEqual(renderAnsi('a', deep.slice(0, 2), { maxDepth: 2 }), `${ESC}[30;48;5;46ma${ESC}[0m`);
+    assert.strictEqual(
+      renderAnsi('a', deep.slice(0, 2), { maxDepth: 2, color: 'truecolor' }),
+      renderAnsi('a', deep, { color: 'truecolor' })
+    );
+    assert.strictEqual(renderAnsi('a', deep.slice(0, 1), { maxDepth: 1 }), `${ESC}[30;48;5;46ma${ESC}[0m`);
+  });
+
+  it('never interleaves escape sequences for crossing markers', () => {
+    const output = renderAnsi('hello world', [
+      { start: 0, end: 6, enabled: true },
+      { start: 4, end: 10, enabled: true }
+    ]);
+    assert.strictEqual(output.replace(/\x1b\[[\d;]*m/g, ''), 'hello world');
+    assert.strictEqual(output.split(`${ESC}[0m`).length - 1, 3);
+  });
+
+  it('falls back to bracket markers without color', () => {
+    assert.strictEqual(renderAnsi('hello world!', nested, { color: 'none' }), '[hello [world]]!');
+    assert.strictEqual(
+      renderAnsi('hello', [{ start: 0, end: 4, enabled: true }], { color: 'none', brackets: ['{+', '+}'] }),
+      '{+hello+}'
+    );
+  });
+
+  it('shows tombstones', () => {
+    const { text, markers, tombstones } = computeDeepDiff(
+      ['The client shall promptly pay.', 'The client shall pay.'],
+      { trackDeletions: true }
+    );
+    assert.strictEqual(
+      renderAnsi(text, markers, { color: 'none', tombstones }),
+      'The client shall [-promptly -]pay.'
+    );
+    assert.ok(renderAnsi(text, markers, { tombstones }).includes(`${ESC}[9;31mpromptly ${ESC}[0m`));
+  });
+
+  it('ignores disabled markers and returns plain text without markers', () => {
+    assert.strictEqual(renderAnsi('abc', [{ start: 0, end: 2, enabled: false }]), 'abc');
+    assert.strictEqual(renderAnsi('abc', [], { color: 'none' }), 'abc');
+  });
+
+  it('rejects unknown color modes', () => {
+    assert.throws(() => renderAnsi('a', [], { color: '16' }), TypeError);
+  });
+
+});
+
+// ============================================================================
+// getDepthMap - Depth Map Tests
+// ============================================================================
+
+describe('getDepthMap', () => {
+
+  const markers = [
+    { id: 10, start: 0, end: 10, enabled: true },
+    { id: 11, start: 6, end: 8, enabled: true },
+    { id: 12, start: 7, end: 7, enabled: true }
+  ];
+
+  it('splits the text into runs of equal coverage', () => {
+    const { segments } = getDepthMap('hello world!', markers);
+    assert.deepStrictEqual(segments, [
+      { start: 0, end: 5, depth: 1, markerIds: [10] },
+      { start: 6, end: 6, depth: 2, markerIds: [10, 11] },
+      { start: 7, end: 7, depth: 3, markerIds: [10, 11, 12] },
+      { start: 8, end: 8, depth: 2, markerIds: [10, 11] },
+      { start: 9, end: 10, depth: 1, markerIds: [10] },
+      { start: 11, end: 11, depth: 0, markerIds: [] }
+    ]);
+  });
+
+  it('reports max depth and a per-character histogram', () => {
+    const { maxDepth, histogram } = getDepthMap('hello world!', markers);
+    assert.strictEqual(maxDepth, 3);
+    assert.deepStrictEqual(histogram, [1, 8, 2, 1]);
+  });
+
+  it('lists the hottest segments first', () => {
+    const { hottest } = getDepthMap('hello world!', markers, { top: 2 });
+    assert.deepStrictEqual(hottest.map(s => s.depth), [3, 2]);
+    assert.strictEqual(hottest[0].start, 7);
+  });
+
+  it('ignores disabled markers and falls back to array indices for ids', () => {
+    const { segments } = getDepthMap('abc', [
+      { start: 0, end: 2, enabled: false },
+      { start: 1, end: 1, enabled: true }
+    ]);
+    assert.deepStrictEqual(segments.map(s => s.markerIds), [[], [1], []]);
+  });
+
+  it('covers unmarked text with a single depth 0 segment', () => {
+    const map = getDepthMap('abc', []);
+    assert.deepStrictEqual(map.segments, [{ start: 0, end: 2, depth: 0, markerIds: [] }]);
+    assert.strictEqual(map.maxDepth, 0);
+    assert.deepStrictEqual(map.hottest, []);
+  });
+
+  it('handles empty text', () => {
+    const map = getDepthMap('', []);
+    assert.deepStrictEqual(map.segments, []);
+    assert.deepStrictEqual(map.histogram, [0]);
+  });
+
+  it('sums marker weights into heat and ranks by it with decay', () => {
+    const weighted = [
+      { id: 0, start: 0, end: 3, enabled: true, revision: { index: 0 } },
+      { id: 1, start: 0, end: 1, enabled: true, revision: { index: 0 } },
+      { id: 2, start: 6, end: 7, enabled: true, revision: { index: 4 } }
+    ];
+    const map = getDepthMap('abcdefgh', weighted, { decay: { type: 'linear', window: 4 } });
+    assert.deepStrictEqual(map.segments.map(s => s.heat), [0, 0, 0, 1]);
+    assert.strictEqual(map.maxDepth, 2);
+    assert.deepStrictEqual(map.hottest.map(s => s.markerIds), [[2], [0, 1], [0]]);
+  });
+
+  it('uses marker ids from computeDeepDiff', () => {
+    const { text, markers } = computeDeepDiff([
+      'The client shall pay the invoice.',
+      'The client shall pay the invoice within 30 days.',
+      'The client shall pay the invoice in full within 30 days.'
+    ]);
+    const { hottest } = getDepthMap(text, markers);
+    assert.strictEqual(text.slice(hottest[0].start, hottest[0].end + 1), 'in full ');
+    assert.deepStrictEqual(hottest[0].markerIds, [0, 1]);
+  });
+
+});
+
+// ============================================================================
+// Line mapping
+// ============================================================================
+
+describe('line mapping', () => {
+
+  const revisions = [
+    { text: 'const a = 1;\nconst b = 2;\n', author: 'alice' },
+    { text: 'const a = 1;\nconst b = 3;\nconst c = 4;\n', author: 'bob' },
+    { text: 'const a = 1;\nconst b = 30;\nconst c = 4;\n', author: 'carol' }
+  ];
+  const { text, markers } = computeDeepDiff(revisions, { whitespace: 'preserve' });
+
+  describe('getMarkerLineRanges', () => {
+
+    it('gives one-based ranges with inclusive ends', () => {
+      assert.deepStrictEqual(getMarkerLineRanges(text, markers), [
+        { start: { line: 2, column: 11 }, end: { line: 3, column: 11 } },
+        { start: { line: 2, column: 12 }, end: { line: 2, column: 12 } }
+      ]);
+    });
+
+    it('counts columns in the offset unit', () => {
+      const result = computeDeepDiff(['😀 a\n😀 b', '😀 a\n😀 bc'], { offsets: 'codepoint' });
+      assert.deepStrictEqual(getMarkerLineRanges(result.text, result.markers, { offsets: 'codepoint' }), [
+        { start: { line: 2, column: 4 }, end: { line: 2, column: 4 } }
+      ]);
+      assert.deepStrictEqual(getMarkerLineRanges(result.text, [{ start: 6, end: 6, enabled: false }]), [null]);
+    });
+
+    it('treats \\r\\n as one line break', () => {
+      const ranges = getMarkerLineRanges('a\r\nb\rc', [{ start: 3, end: 5, enabled: true }]);
+      assert.deepStrictEqual(ranges[0], { start: { line: 2, column: 1 }, end: { line: 3, column: 1 } });
+    });
+
+  });
+
+  describe('getLineChurn', () => {
+
+    it('lists every line with its depth and markers', () => {
+      const churn = getLineChurn(text, markers);
+      assert.deepStrictEqual(churn.map(l => [l.line, l.maxDepth, l.markerCount]), [
+        [1, 0, 0], [2, 2, 2], [3, 1, 1], [4, 0, 0]
+      ]);
+      assert.deepStrictEqual(churn[1].markerIds, [0, 1]);
+    });
+
+    it('lists the revisions that created or reshaped markers on each line', () => {
+      const churn = getLineChurn(text, markers);
+      assert.deepStrictEqual(churn[1].revisions.map(r => r.author), ['bob', 'carol']);
+      assert.deepStrictEqual(churn[0].revisions, []);
+    });
+
+    it('handles empty text', () => {
+      assert.deepStrictEqual(getLineChurn('', []), [
+        { line: 1, maxDepth: 0, markerCount: 0, markerIds: [], revisions: [] }
+      ]);
+    });
+
+  });
+
+});
+
+// ============================================================================
+// getMarkerWeights - Recency Weighting Tests
+// ============================================================================
+
+describe('getMarkerWeights', () => {
+
+  const byIndex = (...indices) =>
+    indices.map(index => ({ start: 0, end: 0, enabled: true, revision: { index } }));
+
+  it('halves the weight every halfLife revisions by default', () => {
+    assert.deepStrictEqual(getMarkerWeights(byIndex(20, 10, 0)), [1, 0.5, 0.25]);
+  });
+
+  it('decays linearly to zero over the window', () => {
+    const weights = getMarkerWeights(byIndex(8, 6, 4, 0), { type: 'linear', window: 4 });
+    assert.deepStrictEqual(weights, [1, 0.5, 0, 0]);
+  });
+
+  it('decays exponentially at the given rate', () => {
+    const [newest, older] = getMarkerWeights(byIndex(3, 1), { type: 'exponential', rate: 0.5 });
+    assert.strictEqual(newest, 1);
+    assert.strictEqual(older, Math.exp(-1));
+  });
+
+  it('measures age from an explicit now', () => {
+    assert.deepStrictEqual(getMarkerWeights(byIndex(5), { halfLife: 5, now: 10 }), [0.5]);
+  });
+
+  it('decays by timestamp', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const markers = [
+      { enabled: true, revision: { index: 0, timestamp: '2024-01-01T00:00:00Z' } },
+      { enabled: true, revision: { index: 1, timestamp: new Date('2024-01-31T00:00:00Z') } },
+      { enabled: true, revision: { index: 2, timestamp: Date.parse('2024-03-01T00:00:00Z') } }
+    ];
+    const weights = getMarkerWeights(markers, { by: 'time' });
+    assert.deepStrictEqual(weights.map(w => Math.round(w * 100) / 100), [0.25, 0.5, 1]);
+
+    const yearOld = getMarkerWeights(markers, { by: 'time', type: 'linear', window: 120 * day });
+    assert.deepStrictEqual(yearOld.map(w => Math.round(w * 100) / 100), [0.5, 0.75, 1]);
+  });
+
+  it('gives full weight to markers without a revision or timestamp', () => {
+    const markers = [{ enabled: true }, ...byIndex(0, 10)];
+    assert.deepStrictEqual(getMarkerWeights(markers), [1, 0.5, 1]);
+    assert.deepStrictEqual(getMarkerWeights(byIndex(0), { by: 'time' }), [1]);
+  });
+
+  it('rejects unknown types and bad parameters', () => {
+    assert.throws(() => getMarkerWeights([], { type: 'cubic' }), TypeError);
+    assert.throws(() => getMarkerWeights([], { by: 'author' }), TypeError);
+    assert.throws(() => getMarkerWeights([], { halfLife: 0 }), TypeError);
+  });
+
+  it('weights markers from computeDeepDiff by their creating revision', () => {
+    const { markers } = computeDeepDiff(['a', 'a b', 'a b c']);
+    const weights = getMarkerWeights(markers, { type: 'linear', window: 2 });
+    assert.deepStrictEqual(markers.map(m => m.revision.index), [1, 2]);
+    assert.deepStrictEqual(weights, [0.5, 1]);
+  });
+
+});
+
+// ============================================================================
+// getDefaultStyles - CSS Generation Tests
+// ============================================================================
+
+describe('getDefaultStyles', () => {
+
+  it('generates valid CSS', () => {
+    const css = getDefaultStyles();
+    assert.ok(css.includes('.deep-diff'));
+    assert.ok(css.includes('background-color'));
+    assert.ok(css.includes('rgba'));
+  });
+
+  it('generates base style', () => {
+    const css = getDefaultStyles(1);
+    assert.ok(css.includes('.deep-diff {'));
+  });
+
+  it('generates nested selectors up to maxDepth', () => {
+    const css = getDefaultStyles(3);
+    
+    assert.ok(css.includes('.deep-diff {'));
+    assert.ok(css.includes('.deep-diff .deep-diff {'));
+    assert.ok(css.includes('.deep-diff .deep-diff .deep-diff {'));
+  });
+
+  it('increases intensity with nesting depth', () => {
+    const css = getDefaultStyles(3);
+    
+    const opacities = css.match(/rgba\([^)]+,\s*([\d.]+)\)/g);
+    assert.ok(opacities.length >= 3, 'should have multiple rgba values');
+  });
+
+  it('respects maxDepth parameter', () => {
+    const css2 = getDefaultStyles(2);
+    const css5 = getDefaultStyles(5);
+    
+    assert.ok(css5.length > css2.length, 'more depth should produce more CSS');
+  });
+
+  it('defaults to depth 5', () => {
+    const cssDefault = getDefaultStyles();
+    const css5 = getDefaultStyles(5);
+    
+    assert.strictEqual(cssDefault, css5);
+  });
+
+  it('targets depth classes instead of descendants when flat', () => {
+    const css = getDefaultStyles(3, { flat: true });
+    assert.ok(css.includes('.deep-diff.depth-1 { background-color: rgba(144,238,144, 0.3); }'));
+    assert.ok(css.includes('.deep-diff.depth-3 { background-color: rgba(144,238,144, 0.6); }'));
+    assert.ok(!css.includes('.deep-diff .deep-diff'));
+    assert.ok(css.includes('.deep-diff-deleted'));
+  });
+
+  it('scales intensity by marker weight when weighted', () => {
+    const css = getDefaultStyles(3, { weighted: true });
+    assert.ok(css.includes('.deep-diff { background-color: rgba(144,238,144, calc(0.3 * var(--deep-diff-weight, 1))); }'));
+    assert.ok(css.includes('.deep-diff .deep-diff .deep-diff { background-color: rgba(144,238,144, calc(0.6 * var(--deep-diff-weight, 1))); }'));
+  });
+
+  it('targets a custom class name everywhere', () => {
+    const css = getDefaultStyles(2, { className: 'changed' });
+    assert.ok(css.includes('.changed {'));
+    assert.ok(css.includes('.changed .changed {'));
+    assert.ok(css.includes('.changed-moved {'));
+    assert.ok(css.includes('.changed-deleted {'));
+    assert.ok(!css.includes('deep-diff {'));
+  });
+
+  it('uses any base colour', () => {
+    const hex = getDefaultStyles(1, { color: '#ff8800' });
+    assert.ok(hex.includes('.deep-diff { background-color: rgba(255,136,0, 0.3); }'));
+    assert.strictEqual(getDefaultStyles(1, { color: [255, 136, 0] }), hex);
+    assert.strictEqual(getDefaultStyles(1, { color: '#f80' }), hex);
+  });
+
+  it('spreads gradient stops across the depths', () => {
+    const css = getDefaultStyles(3, { gradient: ['#ffff00', [255, 0, 0]], flat: true });
+    assert.ok(css.includes('.deep-diff.depth-1 { background-color: rgba(255,255,0, 0.3); }'));
+    assert.ok(css.includes('.deep-diff.depth-2 { background-color: rgba(255,128,0, '));
+    assert.ok(css.includes('.deep-diff.depth-3 { background-color: rgba(255,0,0, 0.6); }'));
+  });
+
+  it('provides built-in palettes', () => {
+    const css = getDefaultStyles(5, { palette: 'viridis', flat: true });
+    assert.ok(css.includes('.deep-diff.depth-1 { background-color: rgba(253,231,37, 0.3); }'));
+    assert.ok(css.includes('.deep-diff.depth-5 { background-color: rgba(68,1,84, '));
+    for (const palette of ['green', 'heat', 'blue', 'cividis']) {
+      assert.match(getDefaultStyles(3, { palette }), /rgba\(/, palette);
+    }
+  });
+
+  it('accepts a custom opacity ramp', () => {
+    const css = getDefaultStyles(3, { flat: true, alpha: { start: 0.5, step: 0.25, max: 0.8 } });
+    assert.ok(css.includes('.deep-diff.depth-1 { background-color: rgba(144,238,144, 0.5); }'));
+    assert.ok(css.includes('.deep-diff.depth-2 { background-color: rgba(144,238,144, 0.75); }'));
+    assert.ok(css.includes('.deep-diff.depth-3 { background-color: rgba(144,238,144, 0.8); }'));
+  });
+
+  it('adds a dark-mode variant', () => {
+    assert.ok(!getDefaultStyles(2).includes('@media'));
+
+    const css = getDefaultStyles(2, { dark: true });
+    const dark = css.slice(css.indexOf('@media (prefers-color-scheme: dark) {'));
+    assert.ok(dark.includes('  .deep-diff { background-color: rgba(46,160,67, 0.3); }'));
+    assert.ok(dark.includes('  .deep-diff-deleted { color: #ff7b72; }'));
+    assert.ok(dark.endsWith('}\n}\n'));
+
+    const custom = getDefaultStyles(1, { color: '#ff8800', dark: { color: '#663300' } });
+    assert.ok(custom.includes('  .deep-diff { background-color: rgba(102,51,0, 0.3); }'));
+  });
+
+  it('rejects unknown palettes and malformed colours', () => {
+    assert.throws(() => getDefaultStyles(3, { palette: 'rainbow' }), TypeError);
+    assert.throws(() => getDefaultStyles(3, { color: 'red' }), TypeError);
+    assert.throws(() => getDefaultStyles(3, { color: [256, 0, 0] }), TypeError);
+    assert.throws(() => getDefaultStyles(3, { gradient: [] }), TypeError);
+  });
+
+});
+
+// ============================================================================
+// getAuthorStyles - Per-author CSS Tests
+// ============================================================================
+
+describe('getAuthorStyles', () => {
+
+  it('generates a rule per author and depth', () => {
+    const css = getAuthorStyles(['alice', 'bob'], 2);
+    assert.ok(css.includes('.deep-diff.deep-diff-author-alice {'));
+    assert.ok(css.includes('.deep-diff .deep-diff.deep-diff-author-alice {'));
+    assert.ok(css.includes('.deep-diff.deep-diff-author-bob {'));
+    assert.strictEqual(css.trim().split('\n').length, 4);
+  });
+
+  it('gives each author a stable hue', () => {
+    const hueOf = (css, author) =>
+      css.match(new RegExp(`deep-diff-author-${author} \\{ background-color: hsla\\((\\d+)`))[1];
+
+    const first = getAuthorStyles(['alice', 'bob']);
+    const second = getAuthorStyles(['bob', 'carol', 'alice']);
+    assert.strictEqual(hueOf(first, 'alice'), hueOf(second, 'alice'));
+    assert.strictEqual(hueOf(first, 'bob'), hueOf(second, 'bob'));
+    assert.notStrictEqual(hueOf(first, 'alice'), hueOf(first, 'bob'));
+  });
+
+  it('keeps hues of many authors apart', () => {
+    const authors = ['alice', 'bob', 'carol', 'dave', 'erin', 'frank', 'grace', 'heidi'];
+    const css = getAuthorStyles(authors, 1);
+    const hues = authors.map(author =>
+      Number(css.match(new RegExp(`author-${author} \\{ background-color: hsla\\((\\d+)`))[1]));
+    for (const [i, a] of hues.entries()) {
+      for (const b of hues.slice(i + 1)) {
+        const distance = Math.min(Math.abs(a - b), 360 - Math.abs(a - b));
+        assert.ok(distance >= 20, `hues ${a} and ${b} are too close`);
+      }
+    }
+    const lines = css => css.trim().split('\n').sort();
+    assert.deepStrictEqual(lines(getAuthorStyles([...authors].reverse(), 1)), lines(css));
+  });
+
+  it('increases intensity with nesting depth', () => {
+    const css = getAuthorStyles(['alice'], 3);
+    const alphas = [...css.matchAll(/hsla\([^)]*,\s*([\d.]+)\)/g)].map(m => Number(m[1]));
+    assert.deepStrictEqual(alphas, [...alphas].sort((a, b) => a - b));
+    assert.ok(alphas[2] > alphas[0]);
+  });
+
+  it('scales intensity by marker weight when weighted', () => {
+    const css = getAuthorStyles(['alice'], 1, { weighted: true });
+    assert.match(css, /hsla\(\d+, 70%, 55%, calc\(0\.3 \* var\(--deep-diff-weight, 1\)\)\)/);
+  });
+
+  it('targets depth classes when flat', () => {
+    const css = getAuthorStyles(['alice'], 2, { flat: true });
+    assert.ok(css.includes('.deep-diff.depth-1.deep-diff-author-alice {'));
+    assert.ok(css.includes('.deep-diff.depth-2.deep-diff-author-alice {'));
+  });
+
+  it('targets a custom class name and opacity ramp', () => {
+    const css = getAuthorStyles(['alice'], 2, { className: 'changed', alpha: { start: 0.5 } });
+    assert.match(css, /^\.changed\.changed-author-alice \{ background-color: hsla\(\d+, 70%, 55%, 0\.5\); \}$/m);
+    assert.ok(css.includes('.changed .changed.changed-author-alice {'));
+  });
+
+  it('deduplicates authors', () => {
+    assert.strictEqual(getAuthorStyles(['alice', 'alice'], 1), getAuthorStyles(['alice'], 1));
+  });
+
+});
+
+describe('getAuthorClassName', () => {
+
+  it('slugifies author names', () => {
+    assert.strictEqual(getAuthorClassName('Bob Smith'), 'deep-diff-author-bob-smith');
+    assert.strictEqual(getAuthorClassName('alice', 'changed'), 'changed-author-alice');
+  });
+
+  it('falls back to a hash for names without ASCII letters or digits', () => {
+    const className = getAuthorClassName('张三');
+    assert.match(className, /^deep-diff-author-[a-z0-9]+$/);
+    assert.notStrictEqual(className, getAuthorClassName('李四'));
+  });
+
+});
+
+// ============================================================================
+// Offset conversion
+// ============================================================================
+
+describe('offset helpers', () => {
+
+  const text = 'a😀e\u0301\nb';
+
+  it('converts between units', () => {
+    assert.strictEqual(convertOffset(text, 3, 'utf16', 'codepoint'), 2);
+    assert.strictEqual(convertOffset(text, 5, 'utf16', 'grapheme'), 3);
+    assert.strictEqual(convertOffset(text, 3, 'grapheme', 'utf16'), 5);
+    assert.strictEqual(convertOffset(text, 7, 'utf16', 'grapheme'), 5);
+  });
+
+  it('maps offsets inside a unit to the unit containing them', () => {
+    assert.strictEqual(convertOffset(text, 2, 'utf16', 'codepoint'), 1);
+    assert.strictEqual(convertOffset(text, 4, 'utf16', 'grapheme'), 2);
+  });
+
+  it('rejects offsets outside the text and unknown units', () => {
+    assert.throws(() => convertOffset(text, 7, 'codepoint', 'utf16'), RangeError);
+    assert.throws(() => convertOffset(text, 0, 'utf16', 'bytes'), TypeError);
+  });
+
+  it('gives UTF-8 byte offsets', () => {
+    assert.strictEqual(offsetToByte(text, 3), 5);
+    assert.strictEqual(offsetToByte(text, 3, 'grapheme'), 8);
+    assert.strictEqual(offsetToByte('\ud800x', 1), 3);
+  });
+
+  it('gives one-based lines and columns', () => {
+    assert.deepStrictEqual(offsetToLineColumn(text, 0), { line: 1, column: 1 });
+    assert.deepStrictEqual(offsetToLineColumn(text, 5), { line: 1, column: 6 });
+    assert.deepStrictEqual(offsetToLineColumn(text, 3, 'grapheme'), { line: 1, column: 4 });
+    assert.deepStrictEqual(offsetToLineColumn(text, 6), { line: 2, column: 1 });
+    assert.deepStrictEqual(offsetToLineColumn('a\r\nb\rc', 5), { line: 3, column: 1 });
+  });
+
+});
 
 // ============================================================================
 // Marker class behaviour (via computeDeepDiff internals)
@@ -584,6 +2664,7 @@ describe('Marker behaviour', () => {
     assert.ok(markers.length > 0);
     const marker = markers[0];
     
+    assert.ok('id' in marker);
     assert.ok('start' in marker);
     assert.ok('end' in marker);
     assert.ok('enabled' in marker);
@@ -646,4 +2727,37 @@ describe('performance', () => {
     assert.ok(result.markers.length > 0);
   });
 
+  it('handles 2,000 revisions with thousands of live markers', () => {
+    const revisions = ['start'];
+    for (let i = 0; i < 2000; i++) {
+      const text = revisions[revisions.length - 1];
+      const at = (i * 7919) % (text.length + 1);
+      revisions.push(text.slice(0, at) + ` w${i}` + text.slice(at));
+    }
+
+    const start = Date.now();
+    const result = computeDeepDiff(revisions);
+    const elapsed = Date.now() - start;
+
+    assert.ok(elapsed < 5000, 'should complete in < 5s, took ' + elapsed + 'ms');
+    assert.ok(result.markers.length > 1000);
+  });
+
+  it('transforms markers the same way with and without an event log', () => {
+    const revisions = ['The quick brown fox'];
+    for (let i = 0; i < 300; i++) {
+      const text = revisions[revisions.length - 1];
+      const at = (i * 31) % (text.length + 1);
+      const cut = i % 3 === 0 ? 4 : 0;
+      revisions.push(text.slice(0, at) + (i % 5 === 0 ? '' : ` w${i}`) + text.slice(at + cut));
+    }
+
+    const spans = result => result.markers.map(m => [m.start, m.end, m.revision.index]);
+    const plain = computeDeepDiff(revisions, { trackDeletions: true });
+    const logged = computeDeepDiff(revisions, { trackDeletions: true, events: true });
+    assert.deepStrictEqual(spans(logged), spans(plain));
+    assert.deepStrictEqual(logged.tombstones.map(t => t.position), plain.tombstones.map(t => t.position));
+    assert.ok(plain.markers.every(m => m.enabled));
+  });
+
 });
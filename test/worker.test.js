@@ -0,0 +1,138 @@
+/**
+ * Tests for the Web Worker entry and computeDeepDiffInWorker
+ *
+ * Uses Node.js built-in test runner (node --test)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createWorkerHandler } from '../src/worker.js';
+import { computeDeepDiff, computeDeepDiffInWorker, deserializeDeepDiff } from '../src/deep-diff.js';
+
+/**
+ * Stand-in for a Worker: messages are structured-cloned and delivered
+ * asynchronously each way, as between threads.
+ */
+function fakeWorker() {
+  const worker = new EventTarget();
+  const handle = createWorkerHandler(message => {
+    setTimeout(() => worker.dispatchEvent(new MessageEvent('message', { data: structuredClone(message) })));
+  });
+  worker.received = [];
+  worker.postMessage = message => {
+    const copy = structuredClone(message);
+    worker.received.push(copy);
+    setTimeout(() => handle(copy));
+  };
+  return worker;
+}
+
+describe('worker', () => {
+
+  const revisions = [
+    { text: 'The client shall pay.', author: 'alice' },
+    { text: 'The client shall pay promptly.', author: 'bob' },
+    { text: 'The big client shall pay promptly.', author: 'carol' }
+  ];
+
+  describe('createWorkerHandler', () => {
+
+    it('replies with progress and a serialized result', async () => {
+      const replies = [];
+      const handle = createWorkerHandler(message => replies.push(message));
+      await handle({ type: 'compute', id: 7, revisions, options: { trackDeletions: true } });
+
+      assert.deepStrictEqual(replies.slice(0, 3).map(r => [r.type, r.id, r.completed, r.total]), [
+        ['progress', 7, 1, 3],
+        ['progress', 7, 2, 3],
+        ['progress', 7, 3, 3]
+      ]);
+      const { type, id, data } = replies[3];
+      assert.strictEqual(type, 'result');
+      assert.strictEqual(id, 7);
+      const restored = deserializeDeepDiff(data);
+      assert.strictEqual(restored.text, 'The big client shall pay promptly.');
+      assert.strictEqual(restored.options.trackDeletions, true);
+    });
+
+    it('replies with errors', async () => {
+      const replies = [];
+      await createWorkerHandler(message => replies.push(message))(
+        { type: 'compute', id: 1, revisions, options: { granularity: 'paragraph' } }
+      );
+      assert.strictEqual(replies[0].type, 'error');
+      assert.strictEqual(replies[0].name, 'TypeError');
+      assert.match(replies[0].message, /paragraph/);
+    });
+
+    it('ignores other messages', async () => {
+      const replies = [];
+      const handle = createWorkerHandler(message => replies.push(message));
+      await handle({ type: 'hello' });
+      await handle(null);
+      assert.deepStrictEqual(replies, []);
+    });
+
+  });
+
+  describe('computeDeepDiffInWorker', () => {
+
+    it('resolves to live markers, as computeDeepDiff does', async () => {
+      const result = await computeDeepDiffInWorker(fakeWorker(), revisions, { events: true });
+      const expected = computeDeepDiff(revisions, { events: true });
+      assert.strictEqual(result.text, expected.text);
+      assert.deepStrictEqual(result.markers.map(m => [m.start, m.end, m.revision.author]),
+        expected.markers.map(m => [m.start, m.end, m.revision.author]));
+      assert.strictEqual(result.markers[0].length, expected.markers[0].length);
+      assert.strictEqual(result.events.length, expected.events.length);
+    });
+
+    it('reports progress and keeps callbacks on the calling side', async () => {
+      const worker = fakeWorker();
+      const progress = [];
+      await computeDeepDiffInWorker(worker, revisions, { onProgress: p => progress.push(p.completed) });
+      assert.deepStrictEqual(progress, [1, 2, 3]);
+      assert.ok(!('onProgress' in worker.received[0].options));
+    });
+
+    it('runs several computations on one worker', async () => {
+      const worker = fakeWorker();
+      const [a, b] = await Promise.all([
+        computeDeepDiffInWorker(worker, ['a', 'ab']),
+        computeDeepDiffInWorker(worker, ['x', 'xyz'])
+      ]);
+      assert.strictEqual(a.text, 'ab');
+      assert.strictEqual(b.text, 'xyz');
+    });
+
+    it('cancels through an AbortSignal', async () => {
+      const worker = fakeWorker();
+      const controller = new AbortController();
+      const promise = computeDeepDiffInWorker(worker, revisions, { signal: controller.signal });
+      controller.abort();
+      await assert.rejects(promise, { name: 'AbortError' });
+      assert.deepStrictEqual(worker.received.map(m => m.type), ['compute', 'abort']);
+
+      await assert.rejects(
+        computeDeepDiffInWorker(worker, revisions, { signal: AbortSignal.abort() }),
+        { name: 'AbortError' }
+      );
+    });
+
+    it('rejects with errors from the worker', async () => {
+      await assert.rejects(
+        computeDeepDiffInWorker(fakeWorker(), revisions, { whitespace: 'squash' }),
+        { name: 'TypeError', message: /squash/ }
+      );
+    });
+
+    it('rejects options that cannot be sent to a worker', async () => {
+      await assert.rejects(
+        computeDeepDiffInWorker(fakeWorker(), revisions, { engine: () => [] }),
+        { name: 'DataCloneError' }
+      );
+    });
+
+  });
+
+});